@@ -9,12 +9,18 @@ const CONFIG = {
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
   CONNECTION_CHECK_INTERVAL: 30000, // 30 seconds
+  LIVE_STATS_TIMEOUT: 40000, // No heartbeat for this long means the channel is down
+  CONVERSATION_DB: 'turingai',
+  CONVERSATION_TITLE_LENGTH: 40,
 };
 
 // ============================================================================
 // API CLIENT
 // ============================================================================
 
+// The streamed reply could not start, so the JSON endpoint can be used instead
+class StreamUnavailableError extends Error {}
+
 class APIClient {
   constructor() {
     this.baseURL = this._detectBaseURL();
@@ -82,6 +88,98 @@ class APIClient {
     });
   }
 
+  // Streams a reply from /api/chat/stream, calling onEvent(event, data) for
+  // accepted, typing, chunk and learned events. Resolves with the final reply.
+  async streamMessage(message, sessionId, onEvent) {
+    if (!window.ReadableStream || !window.TextDecoder) {
+      throw new StreamUnavailableError('Streaming is not supported by this browser');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/api/chat/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+        },
+        body: JSON.stringify({ message, sessionId }),
+      });
+    } catch (error) {
+      throw new StreamUnavailableError(error.message);
+    }
+
+    if (response.status === 404 || response.status === 405) {
+      throw new StreamUnavailableError(`HTTP ${response.status}`);
+    }
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream') || !response.body) {
+      throw new StreamUnavailableError('Server did not stream the reply');
+    }
+
+    this.isOnline = true;
+    this.retryCount = 0;
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let accepted = false;
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const { event, data } = this._parseEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+
+          if (event === 'done') return data;
+          if (event === 'error') throw new Error(data.error || 'Failed to send message');
+          if (event === 'accepted') accepted = true;
+          onEvent(event, data);
+        }
+      }
+    } catch (error) {
+      // Nothing was processed yet, so resending over JSON is safe
+      if (!accepted && error.name === 'TypeError') throw new StreamUnavailableError(error.message);
+      throw error;
+    }
+
+    throw new Error('Connection closed before the reply was complete');
+  }
+
+  _parseEvent(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : {} };
+  }
+
+  async sendFeedback(requestId, rating, reason) {
+    return this._fetch('/api/feedback', {
+      method: 'POST',
+      body: JSON.stringify({ requestId, rating, reason }),
+    });
+  }
+
+  // One page of the stored conversation, oldest turn first. historyToken is
+  // the one the session's first reply carried.
+  async getHistory(sessionId, historyToken, before) {
+    const query = before ? `?before=${encodeURIComponent(before)}` : '';
+    return this._fetch(`/api/sessions/${encodeURIComponent(sessionId)}/history${query}`, {
+      headers: { 'X-History-Token': historyToken },
+    });
+  }
+
   async getStats() {
     return this._fetch('/api/stats');
   }
@@ -114,6 +212,34 @@ class SessionManager {
     return this.sessionId;
   }
 
+  // Each conversation is its own session; the active one survives reloads
+  setSessionId(sessionId) {
+    localStorage.setItem('turingai_session_id', sessionId);
+    this.sessionId = sessionId;
+    this.messageCount = 0;
+  }
+
+  // Begin a new conversation; the old one stays on the server
+  reset() {
+    localStorage.removeItem('turingai_session_id');
+    this.sessionId = this._generateSessionId();
+    this.messageCount = 0;
+  }
+
+  // Kept outside IndexedDB, so the server's copy of a conversation can be
+  // read back when the local one is gone
+  getHistoryToken(sessionId) {
+    return localStorage.getItem(`turingai_history_token:${sessionId}`);
+  }
+
+  setHistoryToken(sessionId, token) {
+    localStorage.setItem(`turingai_history_token:${sessionId}`, token);
+  }
+
+  forgetHistoryToken(sessionId) {
+    localStorage.removeItem(`turingai_history_token:${sessionId}`);
+  }
+
   incrementMessageCount() {
     this.messageCount++;
     return this.messageCount;
@@ -124,14 +250,127 @@ class SessionManager {
   }
 }
 
+// ============================================================================
+// CONVERSATION STORE
+// ============================================================================
+
+// Conversations and their turns cached in IndexedDB, so switching between
+// them is instant and works offline. A conversation's id is its session ID.
+// Falls back to memory when IndexedDB is unavailable (e.g. private browsing).
+class ConversationStore {
+  constructor() {
+    this.db = null;
+    this.memory = { conversations: new Map(), turns: new Map() };
+  }
+
+  async open() {
+    if (!window.indexedDB) return;
+
+    try {
+      const request = indexedDB.open(CONFIG.CONVERSATION_DB, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('conversations', { keyPath: 'id' });
+        const turns = db.createObjectStore('turns', { keyPath: 'key', autoIncrement: true });
+        turns.createIndex('conversationId', 'conversationId');
+      };
+      this.db = await this._request(request);
+    } catch (error) {
+      console.warn('IndexedDB unavailable, conversations will not be kept:', error);
+    }
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Most recently used first
+  async list() {
+    const conversations = this.db
+      ? await this._request(this.db.transaction('conversations').objectStore('conversations').getAll())
+      : Array.from(this.memory.conversations.values());
+    return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async get(id) {
+    if (!this.db) return this.memory.conversations.get(id);
+    return this._request(this.db.transaction('conversations').objectStore('conversations').get(id));
+  }
+
+  async put(conversation) {
+    if (!this.db) {
+      this.memory.conversations.set(conversation.id, conversation);
+      return;
+    }
+    const transaction = this.db.transaction('conversations', 'readwrite');
+    transaction.objectStore('conversations').put(conversation);
+    await this._complete(transaction);
+  }
+
+  async delete(id) {
+    if (!this.db) {
+      this.memory.conversations.delete(id);
+      this.memory.turns.delete(id);
+      return;
+    }
+
+    const transaction = this.db.transaction(['conversations', 'turns'], 'readwrite');
+    transaction.objectStore('conversations').delete(id);
+    const cursorRequest = transaction.objectStore('turns').index('conversationId').openCursor(IDBKeyRange.only(id));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    await this._complete(transaction);
+  }
+
+  // Turns as { user, ai, timestamp }, oldest first
+  async getTurns(id) {
+    if (!this.db) return this.memory.turns.get(id) || [];
+
+    const index = this.db.transaction('turns').objectStore('turns').index('conversationId');
+    const turns = await this._request(index.getAll(IDBKeyRange.only(id)));
+    return turns.map(({ user, ai, timestamp }) => ({ user, ai, timestamp }));
+  }
+
+  async addTurns(id, turns) {
+    if (!this.db) {
+      this.memory.turns.set(id, (this.memory.turns.get(id) || []).concat(turns));
+      return;
+    }
+
+    const transaction = this.db.transaction('turns', 'readwrite');
+    const store = transaction.objectStore('turns');
+    for (const { user, ai, timestamp } of turns) {
+      store.add({ conversationId: id, user, ai, timestamp });
+    }
+    await this._complete(transaction);
+  }
+}
+
 // ============================================================================
 // MESSAGE MANAGER
 // ============================================================================
 
 class MessageManager {
-  constructor(container) {
+  constructor(container, { onFeedback } = {}) {
     this.container = container;
     this.messages = [];
+    this.onFeedback = onFeedback;
   }
 
   addMessage(text, isUser, metadata = {}) {
@@ -154,6 +393,43 @@ class MessageManager {
     return message;
   }
 
+  // Streamed replies grow in place as chunks arrive
+  appendText(message, text) {
+    this.setText(message, (message.rawText || '') + text);
+  }
+
+  setText(message, text) {
+    message.rawText = text;
+    message.text = this._sanitize(text);
+
+    const messageEl = document.getElementById(message.id);
+    if (!messageEl) return;
+    messageEl.querySelector('.message-bubble').textContent = text;
+    messageEl.setAttribute('aria-label', `${message.isUser ? 'You' : 'AI'} said: ${text}`);
+    this._scrollToBottom();
+  }
+
+  // Flag a message the AI learned from
+  markLearned(message) {
+    const messageEl = document.getElementById(message.id);
+    if (!messageEl || messageEl.querySelector('.message-badge')) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'message-badge';
+    badge.textContent = 'Learned';
+    badge.title = 'TuringAI learned a new pattern from this message';
+    messageEl.querySelector('.message-meta').prepend(badge);
+  }
+
+  // Render turns loaded from the server with their original times
+  restore(turns) {
+    for (const turn of turns) {
+      const timestamp = new Date(turn.timestamp);
+      this.addMessage(turn.user, true, { timestamp, restored: true });
+      this.addMessage(turn.ai, false, { timestamp, restored: true });
+    }
+  }
+
   _sanitize(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -182,20 +458,64 @@ class MessageManager {
       </div>
     `;
 
+    this._renderFeedback(message, messageEl);
     this.container.appendChild(messageEl);
   }
 
-  clear() {
+  // A streamed reply can only be rated once the server has answered in full
+  allowFeedback(message, requestId) {
+    message.requestId = requestId;
+    const messageEl = document.getElementById(message.id);
+    if (messageEl) this._renderFeedback(message, messageEl);
+  }
+
+  // Replies from the server can be rated
+  _renderFeedback(message, messageEl) {
+    if (message.isUser || !message.requestId || !this.onFeedback) return;
+    if (messageEl.querySelector('.message-feedback')) return;
+
+    const feedback = document.createElement('span');
+    feedback.className = 'message-feedback';
+    feedback.setAttribute('role', 'group');
+    feedback.setAttribute('aria-label', 'Rate this reply');
+    feedback.innerHTML = `
+      <button class="feedback-btn" data-rating="up" aria-label="Good reply" title="Good reply">👍</button>
+      <button class="feedback-btn" data-rating="down" aria-label="Bad reply" title="Bad reply">👎</button>`;
+    feedback.querySelectorAll('.feedback-btn').forEach(button => {
+      button.addEventListener('click', () => this._rate(message, messageEl, button.dataset.rating));
+    });
+    messageEl.querySelector('.message-meta').appendChild(feedback);
+  }
+
+  async _rate(message, messageEl, rating) {
+    const buttons = messageEl.querySelectorAll('.feedback-btn');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      await this.onFeedback(message, rating);
+      message.rating = rating;
+      messageEl.querySelector(`.feedback-btn[data-rating="${rating}"]`).classList.add('selected');
+    } catch (error) {
+      console.error('Feedback error:', error);
+      // Let the user try again
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  // Empty the view; the announcement is read out to screen readers
+  clear(announcementText = 'Chat cleared') {
     this.messages = [];
-    this.container.innerHTML = '';
+    this.container.querySelectorAll('.message').forEach(messageEl => messageEl.remove());
     this._showEmptyState();
-    
+
+    if (!announcementText) return;
+
     // Announce to screen readers
     const announcement = document.createElement('div');
     announcement.setAttribute('role', 'status');
     announcement.setAttribute('aria-live', 'polite');
     announcement.className = 'sr-only';
-    announcement.textContent = 'Chat cleared';
+    announcement.textContent = announcementText;
     document.body.appendChild(announcement);
     setTimeout(() => announcement.remove(), 1000);
   }
@@ -227,6 +547,113 @@ class MessageManager {
   }
 }
 
+// ============================================================================
+// CONVERSATION LIST
+// ============================================================================
+
+// The sidebar list of conversations. Actions are reported to the callbacks;
+// the caller re-renders once they are done.
+class ConversationList {
+  constructor(container, { onSelect, onRename, onDelete }) {
+    this.container = container;
+    this.onSelect = onSelect;
+    this.onRename = onRename;
+    this.onDelete = onDelete;
+  }
+
+  static title(conversation) {
+    return conversation.title || 'New conversation';
+  }
+
+  render(conversations, activeId) {
+    this.container.innerHTML = '';
+    for (const conversation of conversations) {
+      this.container.appendChild(this._renderItem(conversation, conversation.id === activeId));
+    }
+  }
+
+  _renderItem(conversation, isActive) {
+    const title = ConversationList.title(conversation);
+    const itemEl = document.createElement('li');
+    itemEl.className = `conversation-item${isActive ? ' active' : ''}`;
+
+    const selectBtn = document.createElement('button');
+    selectBtn.className = 'conversation-select';
+    if (isActive) selectBtn.setAttribute('aria-current', 'true');
+
+    const titleEl = document.createElement('span');
+    titleEl.className = 'conversation-title';
+    titleEl.textContent = title;
+
+    const timeEl = document.createElement('span');
+    timeEl.className = 'conversation-time';
+    timeEl.textContent = new Date(conversation.updatedAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    selectBtn.append(titleEl, timeEl);
+    selectBtn.addEventListener('click', () => this.onSelect(conversation));
+
+    const renameBtn = this._actionButton('✏️', `Rename ${title}`);
+    renameBtn.addEventListener('click', () => this._startRename(conversation, itemEl, selectBtn));
+
+    const deleteBtn = this._actionButton('🗑️', `Delete ${title}`);
+    deleteBtn.addEventListener('click', () => {
+      if (confirm(`Delete "${title}"? Its messages will be removed from this browser.`)) {
+        this.onDelete(conversation);
+      }
+    });
+
+    itemEl.append(selectBtn, renameBtn, deleteBtn);
+    return itemEl;
+  }
+
+  _actionButton(icon, label) {
+    const button = document.createElement('button');
+    button.className = 'conversation-action';
+    button.textContent = icon;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    return button;
+  }
+
+  // Edit the title in place: Enter or leaving the field saves, Escape cancels
+  _startRename(conversation, itemEl, selectBtn) {
+    const input = document.createElement('input');
+    input.className = 'conversation-rename';
+    input.value = conversation.title || '';
+    input.placeholder = ConversationList.title(conversation);
+    input.maxLength = 100;
+    input.setAttribute('aria-label', 'Conversation name');
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const title = input.value.trim();
+      if (save && title && title !== conversation.title) {
+        this.onRename(conversation, title);
+      } else {
+        input.replaceWith(selectBtn);
+      }
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+      e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    selectBtn.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+}
+
 // ============================================================================
 // UI CONTROLLER
 // ============================================================================
@@ -244,6 +671,7 @@ class UIController {
       charCounter: document.getElementById('charCounter'),
       errorBanner: document.getElementById('errorBanner'),
       errorText: document.getElementById('errorText'),
+      chatTitle: document.getElementById('chatTitle'),
       chatSubtitle: document.getElementById('chatSubtitle'),
       shortcutsTooltip: document.getElementById('shortcutsTooltip'),
       loadingOverlay: document.getElementById('loadingOverlay'),
@@ -274,7 +702,7 @@ class UIController {
       }
 
       // ?: Show shortcuts
-      if (e.key === '?' && !e.shiftKey && document.activeElement !== this.elements.chatInput) {
+      if (e.key === '?' && !e.shiftKey && !['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName)) {
         e.preventDefault();
         this.toggleShortcuts();
       }
@@ -439,6 +867,11 @@ class UIController {
     return num.toString();
   }
 
+  setConversationTitle(title) {
+    this.elements.chatTitle.textContent = title;
+    document.title = `${title} - TuringAI`;
+  }
+
   toggleShortcuts() {
     this.elements.shortcutsTooltip.classList.toggle('visible');
   }
@@ -459,10 +892,23 @@ class TuringAI {
     this.api = new APIClient();
     this.session = new SessionManager();
     this.ui = new UIController();
-    this.messages = new MessageManager(document.getElementById('chatMessages'));
+    this.messages = new MessageManager(document.getElementById('chatMessages'), {
+      onFeedback: (message, rating) => this.api.sendFeedback(message.requestId, rating),
+    });
+    this.conversations = new ConversationStore();
+    this.conversationList = new ConversationList(document.getElementById('conversationList'), {
+      onSelect: (conversation) => this.switchConversation(conversation.id),
+      onRename: (conversation, title) => this.renameConversation(conversation.id, title),
+      onDelete: (conversation) => this.deleteConversation(conversation.id),
+    });
+    this.isSending = false;
+    this.viewToken = 0;
     
     this.statsUpdateInterval = null;
     this.connectionCheckInterval = null;
+    this.liveStatsSource = null;
+    this.liveStatsWatchdog = null;
+    this.liveStats = null;
 
     this._init();
   }
@@ -470,6 +916,7 @@ class TuringAI {
   async _init() {
     // Setup event handlers
     this.ui.elements.sendBtn.addEventListener('click', () => this.sendMessage());
+    document.getElementById('newConversationBtn').addEventListener('click', () => this.createConversation());
     this.ui.elements.chatInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -480,6 +927,9 @@ class TuringAI {
     // Check initial connection
     await this.checkConnection();
 
+    // Bring back the conversation from before the reload
+    await this._initConversations();
+
     // Load initial stats
     await this.updateStats();
 
@@ -507,24 +957,16 @@ class TuringAI {
 
     // Disable input while processing
     this.ui.setInputEnabled(false);
+    this.isSending = true;
+    const sessionId = this.session.getSessionId();
 
     // Add user message
-    this.messages.addMessage(message, true);
+    const userMessage = this.messages.addMessage(message, true);
     this.ui.clearInput();
     this.ui.showTyping();
 
     try {
-      // Send to API
-      const response = await this.api.sendMessage(message, this.session.getSessionId());
-
-      // Simulate typing delay
-      await this._delay(CONFIG.TYPING_DELAY);
-
-      // Add AI response
-      this.ui.hideTyping();
-      this.messages.addMessage(response.response, false, {
-        learned: response.learned
-      });
+      const response = await this._requestReply(message, userMessage);
 
       // Update stats
       if (response.stats) {
@@ -532,7 +974,9 @@ class TuringAI {
       }
 
       // Update session
+      if (response.historyToken) this.session.setHistoryToken(sessionId, response.historyToken);
       this.session.incrementMessageCount();
+      await this._recordTurn(sessionId, message, response.response);
 
     } catch (error) {
       console.error('Send message error:', error);
@@ -552,17 +996,206 @@ class TuringAI {
         );
       }
     } finally {
+      this.isSending = false;
       this.ui.setInputEnabled(true);
       this.ui.focusInput();
     }
   }
 
-  clearChat() {
-    this.messages.clear();
+  // Stream the reply so the typing indicator follows the server. Falls back to
+  // the JSON endpoint, with its simulated delay, when the stream cannot start.
+  async _requestReply(message, userMessage) {
+    const sessionId = this.session.getSessionId();
+    let aiMessage = null;
+
+    try {
+      const response = await this.api.streamMessage(message, sessionId, (event, data) => {
+        if (event === 'typing') {
+          this.ui.showTyping();
+        } else if (event === 'chunk') {
+          if (!aiMessage) {
+            this.ui.hideTyping();
+            aiMessage = this.messages.addMessage('', false);
+          }
+          this.messages.appendText(aiMessage, data.text);
+        } else if (event === 'learned') {
+          this.messages.markLearned(userMessage);
+        }
+      });
+
+      this.ui.hideTyping();
+      if (aiMessage) {
+        this.messages.setText(aiMessage, response.response);
+        aiMessage.learned = response.learned;
+        // Filtered replies carry no requestId and cannot be rated
+        if (!response.filtered) this.messages.allowFeedback(aiMessage, response.requestId);
+      } else {
+        this.messages.addMessage(response.response, false, {
+          learned: response.learned,
+          requestId: response.requestId
+        });
+      }
+      return response;
+    } catch (error) {
+      if (!(error instanceof StreamUnavailableError)) throw error;
+      console.warn('Streaming unavailable, using JSON endpoint:', error.message);
+    }
+
+    const response = await this.api.sendMessage(message, sessionId);
+
+    // Simulate typing delay
+    await this._delay(CONFIG.TYPING_DELAY);
+
+    this.ui.hideTyping();
+    this.messages.addMessage(response.response, false, {
+      learned: response.learned,
+      requestId: response.requestId
+    });
+    return response;
+  }
+
+  // The stored session becomes the first conversation for clients that
+  // predate the conversation list
+  async _initConversations() {
+    await this.conversations.open();
+
+    const sessionId = this.session.getSessionId();
+    if (!(await this.conversations.get(sessionId))) {
+      await this.conversations.put(this._newConversation(sessionId));
+    }
+    await this._showConversation(sessionId, null);
+  }
+
+  _newConversation(id) {
+    const now = Date.now();
+    return { id, title: null, createdAt: now, updatedAt: now };
+  }
+
+  // Render a conversation from the local cache. Conversations not cached in
+  // this browser are filled in from the server's transcript.
+  async _showConversation(id, announcement) {
+    const token = ++this.viewToken;
+    let turns = await this.conversations.getTurns(id);
+
+    if (turns.length === 0) {
+      turns = await this._fetchServerHistory(id);
+      if (turns.length > 0) {
+        await this.conversations.addTurns(id, turns);
+        const cached = await this.conversations.get(id);
+        if (cached && this._autoTitle(cached, turns[0].user)) await this.conversations.put(cached);
+      }
+    }
+
+    // Another switch started while this one was loading
+    if (token !== this.viewToken) return;
+
+    const conversation = await this.conversations.get(id);
+    this.messages.clear(announcement);
+    this.messages.restore(turns);
+    this.ui.setConversationTitle(ConversationList.title(conversation));
     this.ui.hideError();
+    await this._renderConversations();
+  }
+
+  async _fetchServerHistory(id) {
+    const historyToken = this.session.getHistoryToken(id);
+    if (!this.api.isOnline || !historyToken) return [];
+
+    try {
+      const history = await this.api.getHistory(id, historyToken);
+      return history.turns;
+    } catch (error) {
+      console.warn('Could not restore conversation history:', error.message);
+      return [];
+    }
+  }
+
+  async _renderConversations() {
+    this.conversationList.render(await this.conversations.list(), this.session.getSessionId());
+  }
+
+  // Cache a finished exchange
+  async _recordTurn(sessionId, userText, aiText) {
+    try {
+      const conversation = await this.conversations.get(sessionId);
+      if (!conversation) return;
+
+      const timestamp = Date.now();
+      await this.conversations.addTurns(sessionId, [{ user: userText, ai: aiText, timestamp }]);
+
+      conversation.updatedAt = timestamp;
+      if (this._autoTitle(conversation, userText) && sessionId === this.session.getSessionId()) {
+        this.ui.setConversationTitle(conversation.title);
+      }
+      await this.conversations.put(conversation);
+      await this._renderConversations();
+    } catch (error) {
+      console.warn('Could not cache conversation:', error);
+    }
+  }
+
+  // Name an untitled conversation after its opening message
+  _autoTitle(conversation, text) {
+    if (conversation.title) return false;
+
+    conversation.title = text.length > CONFIG.CONVERSATION_TITLE_LENGTH
+      ? `${text.slice(0, CONFIG.CONVERSATION_TITLE_LENGTH - 1)}…`
+      : text;
+    return true;
+  }
+
+  async switchConversation(id) {
+    // A reply in flight belongs to the conversation on screen
+    if (this.isSending || id === this.session.getSessionId()) return;
+
+    this.session.setSessionId(id);
+    const conversation = await this.conversations.get(id);
+    await this._showConversation(id, `Switched to ${ConversationList.title(conversation)}`);
+    this.ui.focusInput();
+  }
+
+  async createConversation() {
+    if (this.isSending) return;
+
+    this.session.reset();
+    const id = this.session.getSessionId();
+    await this.conversations.put(this._newConversation(id));
+    await this._showConversation(id, 'Started a new conversation');
     this.ui.focusInput();
   }
 
+  async renameConversation(id, title) {
+    const conversation = await this.conversations.get(id);
+    if (!conversation) return;
+
+    conversation.title = title;
+    await this.conversations.put(conversation);
+    if (id === this.session.getSessionId()) this.ui.setConversationTitle(title);
+    await this._renderConversations();
+  }
+
+  // Removes the local copy and its history token; the server keeps its
+  // transcript until retention expires it. Deleting the open conversation
+  // moves to the next most recent.
+  async deleteConversation(id) {
+    if (this.isSending && id === this.session.getSessionId()) return;
+
+    await this.conversations.delete(id);
+    this.session.forgetHistoryToken(id);
+    if (id !== this.session.getSessionId()) {
+      await this._renderConversations();
+      return;
+    }
+
+    const [next] = await this.conversations.list();
+    if (next) {
+      this.session.setSessionId(next.id);
+      await this._showConversation(next.id, 'Conversation deleted');
+    } else {
+      await this.createConversation();
+    }
+  }
+
   async updateStats() {
     try {
       const data = await this.api.getStats();
@@ -584,7 +1217,65 @@ class TuringAI {
     }
   }
 
+  // Stats are pushed over /api/events when the browser supports it; polling
+  // only runs while that channel is unavailable
   startPeriodicUpdates() {
+    if (!this._connectLiveStats()) {
+      this._startPolling();
+    }
+  }
+
+  _connectLiveStats() {
+    if (!window.EventSource) return false;
+
+    const source = new EventSource(`${this.api.baseURL}/api/events`);
+    this.liveStatsSource = source;
+
+    source.addEventListener('snapshot', (e) => {
+      this.liveStats = JSON.parse(e.data);
+      this.ui.updateStats(this.liveStats.stats, this.liveStats.activeUsers);
+      this._onLiveStatsAlive();
+    });
+
+    // Deltas carry only the fields that changed
+    source.addEventListener('stats', (e) => {
+      const delta = JSON.parse(e.data);
+      if (!this.liveStats) return;
+      this.liveStats.stats = { ...this.liveStats.stats, ...delta.stats };
+      if (delta.activeUsers !== undefined) this.liveStats.activeUsers = delta.activeUsers;
+      this.ui.updateStats(this.liveStats.stats, this.liveStats.activeUsers);
+      this._onLiveStatsAlive();
+    });
+
+    source.addEventListener('heartbeat', () => this._onLiveStatsAlive());
+
+    source.onerror = () => {
+      // The browser reconnects on its own unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        this.liveStatsSource = null;
+        this._startPolling();
+      }
+    };
+
+    return true;
+  }
+
+  // The connection indicator follows the channel: any event proves it alive,
+  // and silence past LIVE_STATS_TIMEOUT marks it down until it recovers
+  _onLiveStatsAlive() {
+    this.ui.updateConnectionStatus(true);
+    this._stopPolling();
+
+    clearTimeout(this.liveStatsWatchdog);
+    this.liveStatsWatchdog = setTimeout(() => {
+      this.ui.updateConnectionStatus(false);
+      this._startPolling();
+    }, CONFIG.LIVE_STATS_TIMEOUT);
+  }
+
+  _startPolling() {
+    if (this.statsUpdateInterval) return;
+
     // Update stats every 5 minutes
     this.statsUpdateInterval = setInterval(() => {
       this.updateStats();
@@ -596,12 +1287,23 @@ class TuringAI {
     }, CONFIG.CONNECTION_CHECK_INTERVAL);
   }
 
-  stopPeriodicUpdates() {
+  _stopPolling() {
     if (this.statsUpdateInterval) {
       clearInterval(this.statsUpdateInterval);
+      this.statsUpdateInterval = null;
     }
     if (this.connectionCheckInterval) {
       clearInterval(this.connectionCheckInterval);
+      this.connectionCheckInterval = null;
+    }
+  }
+
+  stopPeriodicUpdates() {
+    this._stopPolling();
+    clearTimeout(this.liveStatsWatchdog);
+    if (this.liveStatsSource) {
+      this.liveStatsSource.close();
+      this.liveStatsSource = null;
     }
   }
 
@@ -6,6 +6,7 @@ const path = require('path');
 const os = require('os');
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const readline = require('readline');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -14,27 +15,110 @@ const PORT = process.env.PORT || 5000;
 // CONFIGURATION & CONSTANTS
 // ============================================================================
 
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
 const CONFIG = {
   // Rate limiting
   RATE_LIMIT_WINDOW_MS: 60000,
   RATE_LIMIT_MAX_REQUESTS: 60,
+  API_KEY_RATE_LIMIT: 600, // Per minute, unless set on the key
+  API_KEY_DAILY_QUOTA: 50000,
   
   // Message limits
   MAX_MESSAGE_LENGTH: 2000,
   MIN_MESSAGE_LENGTH: 1,
-  
+
+  // Live stats channel (/api/events)
+  STATS_PUSH_THROTTLE_MS: 1000,
+  STATS_HEARTBEAT_MS: 15000,
+  MAX_EVENT_CLIENTS: 500,
+
   // Memory & persistence
   SAVE_INTERVAL_MS: parseInt(process.env.SAVE_INTERVAL_MS, 10) || 60000,
+  JOURNAL_FSYNC_MS: parseInt(process.env.JOURNAL_FSYNC_MS, 10) || 1000,
+  JOURNAL_COMPACT_EVENTS: 5000, // Snapshot early once this many events pile up
   MAX_CONVERSATION_HISTORY: 10,
   SESSION_TIMEOUT_MS: 5 * 60 * 1000,
+
+  // Conversation transcripts
+  TRANSCRIPT_RETENTION_DAYS: parseInt(process.env.TRANSCRIPT_RETENTION_DAYS, 10) || 30,
+  TRANSCRIPT_MAX_TURNS: 500, // Per session; older turns are dropped
+  TRANSCRIPT_PRUNE_INTERVAL_MS: 60 * 60 * 1000,
+  HISTORY_PAGE_SIZE: 50,
+  HISTORY_MAX_PAGE_SIZE: 200,
   MAX_SESSIONS: 1000,
+
+  // Profanity filter (config/profanity): 'reject' garbage-flags any match,
+  // 'mask' masks matches below PROFANITY_REJECT_SEVERITY ("f***") instead
+  PROFANITY_MODE: process.env.PROFANITY_MODE || 'reject',
+  PROFANITY_REJECT_SEVERITY: process.env.PROFANITY_REJECT_SEVERITY || 'severe',
+
+  // Fallback replies (config/intents.json)
+  INTENTS_POLL_MS: 2000,
+
+  // Instances sharing one Postgres database
+  SYNC_POLL_MS: parseInt(process.env.SYNC_POLL_MS, 10) || 30000, // Fallback for missed notifications
+  SYNC_DEBOUNCE_MS: 200,
+  SYNC_TOMBSTONE_DAYS: 30, // Deleted rows are remembered this long for peers to catch up
   
+  // Learning quarantine: pairs taught in chat wait for this many distinct
+  // callers (1 learns right away) or a moderator before they are served
+  PENDING_MIN_CALLERS: parseInt(process.env.PENDING_MIN_CALLERS, 10) || 3,
+  PENDING_TTL_MS: (parseInt(process.env.PENDING_TTL_HOURS, 10) || 72) * 60 * 60 * 1000,
+  MAX_PENDING_PATTERNS: 5000,
+  PENDING_SWEEP_MS: 60 * 1000,
+
   // Learning thresholds
   MIN_QUALITY_SCORE: 40,
+  QUALITY_SCORER: process.env.QUALITY_SCORER || 'bayes', // or 'heuristic'
+  QUALITY_MIN_EXAMPLES: 20, // Labeled pairs needed to train the quality model
+  QUALITY_MODEL_ACCEPT: 0.5, // P(good) the quality model needs to learn a pair
+  QUALITY_MODEL_POLL_MS: 5000, // How often the model file is checked for a retrain
+  QUALITY_EVAL_FOLDS: 5,
   MIN_RELEVANCE_SCORE: 30,
+
+  // Retrieval ('bm25' or the original 'keyword' overlap ranking)
+  RETRIEVAL_STRATEGY: process.env.RETRIEVAL_STRATEGY || 'bm25',
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+
+  // Multi-turn context: how many previous turns feed retrieval, the weight of
+  // the nearest one (halving per turn further back), and the boost given to
+  // entries whose recorded preceding turn matches
+  CONTEXT_TURNS: 2,
+  CONTEXT_TURN_WEIGHT: 0.5,
+  CONTEXT_MATCH_BOOST: 0.5,
+  MAX_CONTEXT_KEYWORDS: 10,
+
+  // Response feedback
+  FEEDBACK_WINDOW_MS: 60 * 60 * 1000, // How long a reply can be rated
+  FEEDBACK_UP_QUALITY: 5,
+  FEEDBACK_DOWN_QUALITY: 15,
+  FEEDBACK_RETIRE_QUALITY: 30, // Entries below this are removed
+  MAX_FEEDBACK_RECORDS: 1000,
+  MAX_FEEDBACK_REASON_LENGTH: 500,
+
+  // Admin API
+  ADMIN_PAGE_SIZE: 50,
+  ADMIN_MAX_PAGE_SIZE: 200,
+
+  // Bulk corpus import
+  IMPORT_MAX_BYTES: 200 * 1024 * 1024,
+  IMPORT_MAX_REJECTION_SAMPLES: 50,
   
   // CORS settings
   ALLOWED_ORIGINS: (process.env.ALLOWED_ORIGINS || '*').split(','),
+
+  // Behind a reverse proxy (Replit, nginx, a load balancer) set TRUST_PROXY so
+  // req.ip is the client's address rather than the proxy's: "true", a number
+  // of hops, or addresses/subnets as Express takes them. Off by default, since
+  // otherwise any client could claim an address in X-Forwarded-For.
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
   
   // Backup settings
   BACKUP_INTERVAL_MS: 24 * 60 * 60 * 1000, // Daily backups
@@ -52,30 +136,89 @@ const DEFAULT_PERSISTENT_DIR = IS_REPLIT
   : path.join(os.homedir(), '.turing-ai');
 const PERSISTENT_DIR = process.env.PERSISTENT_MEMORY_DIR || DEFAULT_PERSISTENT_DIR;
 const PERSISTENT_MEMORY_FILE = path.join(PERSISTENT_DIR, 'memory.json');
+const JOURNAL_FILE = path.join(PERSISTENT_DIR, 'journal.jsonl');
 const BACKUP_DIR = path.join(PERSISTENT_DIR, 'backups');
+const TRANSCRIPT_DIR = path.join(PERSISTENT_DIR, 'transcripts');
 const REPLIT_DB_URL = process.env.REPLIT_DB_URL;
 const POSTGRES_URL = process.env.DATABASE_URL || process.env.POSTGRES_URL || process.env.POSTGRESQL_URL || process.env.POSTGRES_URI;
 const FORCE_SYNC_ON_LEARN = process.env.FORCE_SYNC_ON_LEARN === '1';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // Lets a scraper read /metrics without admin rights
+
+// Names this process among instances sharing a database; stable across
+// restarts of the same deployment
+const INSTANCE_ID = process.env.INSTANCE_ID ||
+  crypto.createHash('sha1').update(`${os.hostname()}:${PERSISTENT_DIR}`).digest('hex').slice(0, 12);
+
+// Keys the HMACs the server hands out or stores (history tokens, caller
+// identities). Instances sharing a database must share SERVER_SECRET; without
+// it one is generated into PERSISTENT_DIR on first use and kept there.
+const SERVER_SECRET_FILE = path.join(PERSISTENT_DIR, 'server-secret');
+let serverSecretValue = process.env.SERVER_SECRET || null;
+
+function serverSecret() {
+  if (serverSecretValue) return serverSecretValue;
+
+  try {
+    serverSecretValue = fsSync.readFileSync(SERVER_SECRET_FILE, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!serverSecretValue) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fsSync.mkdirSync(PERSISTENT_DIR, { recursive: true });
+    try {
+      fsSync.writeFileSync(SERVER_SECRET_FILE, secret, { mode: 0o600, flag: 'wx' });
+      serverSecretValue = secret;
+      logger.warn('SERVER_SECRET is not set; generated one', { file: SERVER_SECRET_FILE });
+    } catch (err) {
+      // Another process wrote it first
+      if (err.code !== 'EEXIST') throw err;
+      serverSecretValue = fsSync.readFileSync(SERVER_SECRET_FILE, 'utf8').trim();
+    }
+  }
+  return serverSecretValue;
+}
+
+function serverHmac(purpose, value) {
+  return crypto.createHmac('sha256', serverSecret()).update(`${purpose}:${value}`).digest('base64url');
+}
+
+// Memory is loaded from STORAGE_PRIMARY, which must be reachable at startup,
+// and every snapshot is also written to the STORAGE_MIRRORS (comma separated;
+// set it empty for none). When STORAGE_PRIMARY is unset the first configured
+// of postgres, replit and file is primary and the others mirror it.
+const STORAGE_BACKENDS = ['file', 'postgres', 'replit', 'memory'];
+const CONFIGURED_STORAGE = [POSTGRES_URL && 'postgres', REPLIT_DB_URL && 'replit', 'file'].filter(Boolean);
+const STORAGE_PRIMARY = (process.env.STORAGE_PRIMARY || CONFIGURED_STORAGE[0]).trim();
+const STORAGE_MIRRORS = process.env.STORAGE_MIRRORS !== undefined
+  ? process.env.STORAGE_MIRRORS.split(',').map(name => name.trim()).filter(Boolean)
+  : CONFIGURED_STORAGE.filter(name => name !== STORAGE_PRIMARY);
 
 // ============================================================================
 // DATABASE SETUP
 // ============================================================================
 
-const pgPool = POSTGRES_URL
-  ? new Pool({
-      connectionString: POSTGRES_URL,
-      ssl: (process.env.PGSSLMODE === 'require' || /sslmode=require/i.test(POSTGRES_URL))
-        ? { rejectUnauthorized: false }
-        : false
-    })
-  : null;
+function createPgPool(options = {}) {
+  return new Pool({
+    connectionString: POSTGRES_URL,
+    ssl: (process.env.PGSSLMODE === 'require' || /sslmode=require/i.test(POSTGRES_URL))
+      ? { rejectUnauthorized: false }
+      : false,
+    ...options
+  });
+}
 
-let pgTableReady = null;
+const pgPool = POSTGRES_URL ? createPgPool() : null;
 
-async function ensurePostgresTable() {
-  if (!pgPool) return;
-  if (!pgTableReady) {
-    pgTableReady = pgPool.query(`
+// Schema changes are applied in order and recorded in schema_migrations, so
+// every instance sharing the database agrees on the layout. Never edit a
+// shipped migration; append a new one instead.
+const PG_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'legacy_memory_store',
+    up: client => client.query(`
       CREATE TABLE IF NOT EXISTS memory_store (
         id text PRIMARY KEY,
         data jsonb NOT NULL,
@@ -83,1045 +226,6312 @@ async function ensurePostgresTable() {
         created_at timestamptz NOT NULL DEFAULT now()
       );
       CREATE INDEX IF NOT EXISTS idx_memory_updated ON memory_store(updated_at);
-    `);
-  }
-  await pgTableReady;
-}
+    `)
+  },
+  {
+    version: 2,
+    name: 'normalized_knowledge',
+    up: client => client.query(`
+      CREATE TABLE knowledge_pairs (
+        id text PRIMARY KEY,
+        input text NOT NULL,
+        response text NOT NULL,
+        quality double precision NOT NULL,
+        confidence integer,
+        pinned boolean NOT NULL DEFAULT false,
+        context jsonb,
+        learned_at bigint,
+        updated_at timestamptz NOT NULL DEFAULT now()
+      );
+      CREATE INDEX idx_knowledge_pairs_input ON knowledge_pairs(input);
+
+      CREATE TABLE cluster_entries (
+        keyword text NOT NULL,
+        entry_id text NOT NULL,
+        rank integer NOT NULL,
+        input text NOT NULL,
+        response text NOT NULL,
+        quality double precision NOT NULL,
+        confidence integer,
+        pinned boolean NOT NULL DEFAULT false,
+        context jsonb,
+        learned_at bigint,
+        updated_at timestamptz NOT NULL DEFAULT now(),
+        PRIMARY KEY (keyword, entry_id)
+      );
+      CREATE INDEX idx_cluster_entries_input ON cluster_entries(input);
 
-// ============================================================================
-// LOGGING UTILITY
-// ============================================================================
+      CREATE TABLE quality_scores (
+        input text PRIMARY KEY,
+        score double precision NOT NULL
+      );
 
-class Logger {
-  constructor() {
-    this.requestId = null;
-  }
+      CREATE TABLE memory_stats (
+        name text PRIMARY KEY,
+        value double precision NOT NULL
+      );
 
-  _log(level, msg, data = {}) {
-    const logEntry = {
-      level,
-      time: new Date().toISOString(),
-      msg,
-      requestId: this.requestId,
-      ...data
-    };
-    
-    const output = JSON.stringify(logEntry);
-    
-    if (level === 'ERROR') {
-      console.error(output);
-    } else if (level === 'WARN') {
-      console.warn(output);
-    } else {
-      console.log(output);
+      -- Remaining top-level sections of the memory document (feedback log,
+      -- keyword pipeline version, ...) are kept whole
+      CREATE TABLE memory_documents (
+        name text PRIMARY KEY,
+        data jsonb NOT NULL,
+        updated_at timestamptz NOT NULL DEFAULT now()
+      );
+    `)
+  },
+  {
+    version: 3,
+    name: 'import_legacy_blob',
+    up: async (client) => {
+      const res = await client.query('SELECT data FROM memory_store WHERE id = $1', ['global']);
+      const legacy = res.rows[0]?.data;
+      if (!legacy || !Array.isArray(legacy.contextPairs) || !legacy.semanticClusters) return;
+
+      IntelligentLearner.assignEntryIds(legacy);
+      await PostgresMemoryStore.writeAll(client, legacy);
+      logger.info('Imported legacy Postgres memory blob', {
+        contextPairs: legacy.contextPairs.length,
+        clusters: Object.keys(legacy.semanticClusters).length
+      });
     }
+  },
+  {
+    version: 4,
+    name: 'conversation_turns',
+    up: client => client.query(`
+      CREATE TABLE conversation_turns (
+        id bigserial PRIMARY KEY,
+        session_id text NOT NULL,
+        user_message text NOT NULL,
+        ai_response text NOT NULL,
+        created_at bigint NOT NULL
+      );
+      CREATE INDEX idx_conversation_turns_session ON conversation_turns(session_id, id);
+      CREATE INDEX idx_conversation_turns_created ON conversation_turns(created_at);
+    `)
+  },
+  {
+    version: 5,
+    name: 'multi_instance_sync',
+    up: client => client.query(`
+      -- Every write takes the next revision, so peers can ask for what
+      -- changed since the last one they saw
+      CREATE SEQUENCE memory_revision;
+
+      -- Rows are now addressed by their natural keys; keep the stronger copy
+      -- of any duplicate
+      DELETE FROM knowledge_pairs a USING knowledge_pairs b
+      WHERE a.input = b.input
+        AND (a.quality * COALESCE(a.confidence, 1), a.id) < (b.quality * COALESCE(b.confidence, 1), b.id);
+      DROP INDEX idx_knowledge_pairs_input;
+      CREATE UNIQUE INDEX idx_knowledge_pairs_input ON knowledge_pairs(input);
+
+      DELETE FROM cluster_entries a USING cluster_entries b
+      WHERE a.keyword = b.keyword AND a.input = b.input
+        AND (a.quality * COALESCE(a.confidence, 1), a.entry_id) < (b.quality * COALESCE(b.confidence, 1), b.entry_id);
+      CREATE UNIQUE INDEX idx_cluster_entries_keyword_input ON cluster_entries(keyword, input);
+
+      ALTER TABLE quality_scores ADD COLUMN updated_at timestamptz NOT NULL DEFAULT now();
+
+      -- Deleted rows stay behind as tombstones so peers learn of the deletion
+      ALTER TABLE knowledge_pairs
+        ADD COLUMN revision bigint NOT NULL DEFAULT nextval('memory_revision'),
+        ADD COLUMN deleted boolean NOT NULL DEFAULT false;
+      ALTER TABLE cluster_entries
+        ADD COLUMN revision bigint NOT NULL DEFAULT nextval('memory_revision'),
+        ADD COLUMN deleted boolean NOT NULL DEFAULT false;
+      ALTER TABLE quality_scores
+        ADD COLUMN revision bigint NOT NULL DEFAULT nextval('memory_revision'),
+        ADD COLUMN deleted boolean NOT NULL DEFAULT false;
+      ALTER TABLE memory_documents
+        ADD COLUMN revision bigint NOT NULL DEFAULT nextval('memory_revision'),
+        ADD COLUMN deleted boolean NOT NULL DEFAULT false;
+
+      CREATE INDEX idx_knowledge_pairs_revision ON knowledge_pairs(revision);
+      CREATE INDEX idx_cluster_entries_revision ON cluster_entries(revision);
+      CREATE INDEX idx_quality_scores_revision ON quality_scores(revision);
+      CREATE INDEX idx_memory_documents_revision ON memory_documents(revision);
+    `)
   }
-
-  info(msg, data = {}) {
-    this._log('INFO', msg, data);
+];
+
+const PG_MIGRATION_LOCK = 7419001; // pg_advisory_lock key shared by all instances
+const PG_SYNC_LOCK = 7419002; // pg_advisory_xact_lock key held by every memory write
+const PG_BATCH_SIZE = 2000;
+const NORMALIZED_SECTIONS = new Set(['contextPairs', 'semanticClusters', 'qualityScores', 'stats']);
+const SYNC_CHANNEL = 'turingai_memory';
+const SYNC_RETRY_MS = 5000;
+const ENTRY_KEY_SEPARATOR = '\u0000';
+
+const ENTRY_COLUMNS = `id text, input text, response text, quality double precision,
+  confidence integer, pinned boolean, context jsonb, learned_at bigint`;
+
+// Three-way merge of two copies of a learned entry that changed apart since
+// base, the copy both sides last agreed on (null when they never did). The
+// same response is reinforced by both sides' changes; different responses
+// keep the stronger entry, ranked as everywhere else.
+function mergeKnowledgeEntries(local, remote, base) {
+  if (local.response !== remote.response) {
+    const order = IntelligentLearner.compareEntries(local, remote);
+    if (order !== 0) return order < 0 ? local : remote;
+    return (remote.timestamp || 0) > (local.timestamp || 0) ? remote : local;
   }
 
-  error(msg, error, data = {}) {
-    this._log('ERROR', msg, {
-      error: error?.message || error,
-      stack: error?.stack,
-      ...data
-    });
+  const newer = (remote.timestamp || 0) > (local.timestamp || 0) ? remote : local;
+  const shared = base && base.response === local.response ? base : null;
+  const merged = { ...newer };
+
+  if (shared) {
+    merged.confidence = Math.max(1,
+      (local.confidence || 1) + (remote.confidence || 1) - (shared.confidence || 1));
+    merged.quality = Math.min(100, Math.max(0, local.quality + remote.quality - shared.quality));
+  } else {
+    merged.confidence = (local.confidence || 1) + (remote.confidence || 1);
+    merged.quality = Math.max(local.quality, remote.quality);
   }
 
-  warn(msg, data = {}) {
-    this._log('WARN', msg, data);
-  }
+  const pinned = shared && Boolean(local.pinned) !== Boolean(shared.pinned)
+    ? Boolean(local.pinned)
+    : Boolean(remote.pinned) || (!shared && Boolean(local.pinned));
+  if (pinned) merged.pinned = true; else delete merged.pinned;
 
-  setRequestId(id) {
-    this.requestId = id;
-    return this;
-  }
+  const context = Array.from(new Set([...(local.context || []), ...(remote.context || [])]))
+    .slice(0, CONFIG.MAX_CONTEXT_KEYWORDS);
+  if (context.length > 0) merged.context = context; else delete merged.context;
+
+  return merged;
 }
 
-const logger = new Logger();
+// How document sections changed on two instances are combined. Sections not
+// listed here keep this instance's copy.
+const DOCUMENT_MERGERS = {
+  // Records are only ever appended, so keep everything either side recorded
+  feedback(local, remote) {
+    const records = new Map();
+    for (const record of [...remote, ...local]) {
+      records.set(`${record.timestamp}|${record.input}|${record.rating}`, record);
+    }
+    return Array.from(records.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-CONFIG.MAX_FEEDBACK_RECORDS);
+  },
+
+  // Keys issued anywhere survive, a revocation anywhere sticks, and usage
+  // counted on both sides adds up
+  apiKeys(local, remote, base) {
+    const baseKeys = new Map((base || []).map(record => [record.id, record]));
+    const merged = new Map(remote.map(record => [record.id, record]));
+
+    for (const record of local) {
+      const other = merged.get(record.id);
+      if (!other) {
+        merged.set(record.id, record);
+        continue;
+      }
 
-// ============================================================================
-// METRICS COLLECTION
-// ============================================================================
+      const shared = baseKeys.get(record.id);
+      const revoked = [record.revokedAt, other.revokedAt].filter(Boolean).sort();
+      const used = [record.lastUsedAt, other.lastUsedAt].filter(Boolean).sort();
+      let usage;
+      if (record.usage.day === other.usage.day) {
+        const counted = shared && shared.usage.day === record.usage.day ? shared.usage.requests : 0;
+        usage = { day: record.usage.day, requests: record.usage.requests + other.usage.requests - counted };
+      } else {
+        usage = record.usage.day > other.usage.day ? record.usage : other.usage;
+      }
 
-class MetricsCollector {
-  constructor() {
-    this.metrics = {
-      requestCount: 0,
-      errorCount: 0,
-      totalResponseTime: 0,
-      learningCount: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
-      startTime: Date.now()
-    };
-  }
+      merged.set(record.id, {
+        ...record,
+        revokedAt: revoked[0] || null,
+        lastUsedAt: used[used.length - 1] || null,
+        totalRequests: record.totalRequests + other.totalRequests - (shared ? shared.totalRequests : 0),
+        usage
+      });
+    }
 
-  recordRequest(duration, hasError = false) {
-    this.metrics.requestCount++;
-    this.metrics.totalResponseTime += duration;
-    if (hasError) this.metrics.errorCount++;
-  }
+    return Array.from(merged.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+
+  // A pair either side promoted, rejected or expired since the last sync
+  // stays gone; callers confirming a pair on either side all count
+  pendingPatterns(local, remote, base) {
+    const key = item => `${item.input}${ENTRY_KEY_SEPARATOR}${item.response}`;
+    const shared = new Set((base || []).map(key));
+    const remoteItems = new Map(remote.map(item => [key(item), item]));
+    const localItems = new Map(local.map(item => [key(item), item]));
+    const merged = [];
+
+    for (const [itemKey, item] of localItems) {
+      const other = remoteItems.get(itemKey);
+      if (!other) {
+        if (!shared.has(itemKey)) merged.push(item);
+        continue;
+      }
+      merged.push({
+        ...item,
+        quality: Math.max(item.quality, other.quality),
+        callers: Array.from(new Set([...item.callers, ...other.callers])),
+        firstSeen: Math.min(item.firstSeen, other.firstSeen),
+        lastSeen: Math.max(item.lastSeen, other.lastSeen)
+      });
+    }
+    for (const [itemKey, item] of remoteItems) {
+      if (!localItems.has(itemKey) && !shared.has(itemKey)) merged.push(item);
+    }
 
-  recordLearning() {
-    this.metrics.learningCount++;
+    return merged.sort((a, b) => a.firstSeen - b.firstSeen);
   }
+};
 
-  recordCacheHit() {
-    this.metrics.cacheHits++;
-  }
+function splitEntryKey(key) {
+  const at = key.indexOf(ENTRY_KEY_SEPARATOR);
+  return [key.slice(0, at), key.slice(at + 1)];
+}
 
-  recordCacheMiss() {
-    this.metrics.cacheMisses++;
+// The tables kept in sync row by row. Each maps between its rows and one
+// addressable part of the memory document:
+//
+//   keys / columns      natural key columns / jsonb_to_recordset definition
+//   key(row)            the part's key for a row
+//   toRow / fromRow     convert a value to a row and back
+//   collect(memory)     Map of key -> value for the whole document
+//   get / set / remove  read and write a single value in the document
+//   merge(local, remote, base, key)
+//                       combine two values that changed apart
+const SYNC_KINDS = {
+  pairs: {
+    table: 'knowledge_pairs',
+    keys: ['input'],
+    columns: ENTRY_COLUMNS,
+    key: row => row.input,
+    toRow: (input, entry) => PostgresMemoryStore.entryRow(entry),
+    fromRow: row => PostgresMemoryStore.rowEntry(row),
+    collect: memory => new Map(memory.contextPairs.map(pair => [pair.input, pair])),
+    get: (memory, input) => memory.contextPairs.find(pair => pair.input === input),
+    set(memory, input, entry) {
+      const index = memory.contextPairs.findIndex(pair => pair.input === input);
+      if (index === -1) memory.contextPairs.push(entry);
+      else memory.contextPairs[index] = entry;
+    },
+    remove(memory, input) {
+      memory.contextPairs = memory.contextPairs.filter(pair => pair.input !== input);
+    },
+    merge: mergeKnowledgeEntries
+  },
+
+  entries: {
+    table: 'cluster_entries',
+    keys: ['keyword', 'input'],
+    columns: `keyword text, entry_id text, rank integer, input text, response text,
+      quality double precision, confidence integer, pinned boolean, context jsonb, learned_at bigint`,
+    key: row => `${row.keyword}${ENTRY_KEY_SEPARATOR}${row.input}`,
+    toRow(key, entry, memory) {
+      const [keyword] = splitEntryKey(key);
+      const { id, ...row } = PostgresMemoryStore.entryRow(entry);
+      const rank = memory.semanticClusters[keyword]?.indexOf(entry) ?? -1;
+      return { keyword, entry_id: id, rank: Math.max(rank, 0), ...row };
+    },
+    fromRow: row => PostgresMemoryStore.rowEntry({ ...row, id: row.entry_id }),
+    collect(memory) {
+      const entries = new Map();
+      for (const [keyword, cluster] of Object.entries(memory.semanticClusters)) {
+        for (const entry of cluster) entries.set(`${keyword}${ENTRY_KEY_SEPARATOR}${entry.input}`, entry);
+      }
+      return entries;
+    },
+    get(memory, key) {
+      const [keyword, input] = splitEntryKey(key);
+      return memory.semanticClusters[keyword]?.find(entry => entry.input === input);
+    },
+    set(memory, key, entry) {
+      const [keyword, input] = splitEntryKey(key);
+      const cluster = memory.semanticClusters[keyword] || (memory.semanticClusters[keyword] = []);
+      const index = cluster.findIndex(item => item.input === input);
+      if (index === -1) cluster.push(entry);
+      else cluster[index] = entry;
+    },
+    remove(memory, key) {
+      const [keyword, input] = splitEntryKey(key);
+      const kept = (memory.semanticClusters[keyword] || []).filter(entry => entry.input !== input);
+      if (kept.length > 0) memory.semanticClusters[keyword] = kept;
+      else delete memory.semanticClusters[keyword];
+    },
+    merge: mergeKnowledgeEntries
+  },
+
+  scores: {
+    table: 'quality_scores',
+    keys: ['input'],
+    columns: 'input text, score double precision',
+    key: row => row.input,
+    toRow: (input, score) => ({ input, score }),
+    fromRow: row => row.score,
+    collect: memory => new Map(Object.entries(memory.qualityScores || {})),
+    get: (memory, input) => memory.qualityScores?.[input],
+    set(memory, input, score) {
+      if (!memory.qualityScores) memory.qualityScores = {};
+      memory.qualityScores[input] = score;
+    },
+    remove(memory, input) {
+      if (memory.qualityScores) delete memory.qualityScores[input];
+    },
+    merge: (local, remote) => Math.max(local, remote)
+  },
+
+  // Every other top-level section, kept whole. journalSeq counts this
+  // instance's own journal, so each instance keeps its own copy.
+  documents: {
+    table: 'memory_documents',
+    keys: ['name'],
+    columns: 'name text, data jsonb',
+    key: row => row.name,
+    toRow: (name, data) => ({ name, data }),
+    fromRow: row => row.data,
+    collect(memory, store) {
+      const documents = new Map();
+      for (const [section, data] of Object.entries(memory)) {
+        if (NORMALIZED_SECTIONS.has(section) || data === undefined || data === null) continue;
+        documents.set(section === 'journalSeq' ? store.journalKey : section, data);
+      }
+      return documents;
+    },
+    get: (memory, name, store) => memory[store.sectionOf(name)],
+    set(memory, name, data, store) {
+      memory[store.sectionOf(name)] = data;
+    },
+    remove(memory, name, store) {
+      delete memory[store.sectionOf(name)];
+    },
+    merge: (local, remote, base, name) => DOCUMENT_MERGERS[name] ? DOCUMENT_MERGERS[name](local, remote, base) : local
   }
+};
 
-  getMetrics() {
-    const avgResponseTime = this.metrics.requestCount > 0
-      ? this.metrics.totalResponseTime / this.metrics.requestCount
-      : 0;
+// The statements each synced table is read and written with. Conditional
+// writes only apply where the row is still at the revision this instance
+// last saw; whatever they skip was changed by a peer in the meantime.
+function syncStatements({ table, keys, columns }) {
+  const definitions = columns.split(',').map(column => column.trim());
+  const names = definitions.map(definition => definition.split(/\s+/)[0]);
+  const keyColumns = definitions.filter((definition, i) => keys.includes(names[i])).join(', ');
+  const matchKeys = keys.map(key => `${table}.${key} = r.${key}`).join(' AND ');
+  const returning = `RETURNING ${keys.map(key => `${table}.${key}`).join(', ')}, ${table}.revision`;
+  const bump = `revision = nextval('memory_revision'), updated_at = now()`;
+
+  return {
+    update: `
+      UPDATE ${table} SET ${names.filter(name => !keys.includes(name)).map(name => `${name} = r.${name}`).join(', ')},
+        deleted = false, ${bump}
+      FROM jsonb_to_recordset($1::jsonb) AS r(${columns}, expected bigint)
+      WHERE ${matchKeys} AND ${table}.revision = r.expected
+      ${returning}`,
+    insert: `
+      INSERT INTO ${table} (${names.join(', ')})
+      SELECT ${names.join(', ')} FROM jsonb_to_recordset($1::jsonb) AS r(${columns})
+      ON CONFLICT (${keys.join(', ')}) DO NOTHING
+      ${returning}`,
+    upsert: `
+      INSERT INTO ${table} (${names.join(', ')})
+      SELECT ${names.join(', ')} FROM jsonb_to_recordset($1::jsonb) AS r(${columns})
+      ON CONFLICT (${keys.join(', ')}) DO UPDATE SET
+        ${names.filter(name => !keys.includes(name)).map(name => `${name} = EXCLUDED.${name}`).join(', ')},
+        deleted = false, ${bump}
+      ${returning}`,
+    remove: `
+      UPDATE ${table} SET deleted = true, ${bump}
+      FROM jsonb_to_recordset($1::jsonb) AS r(${keyColumns}, expected bigint)
+      WHERE ${matchKeys} AND ${table}.revision = r.expected
+      ${returning}`,
+    removeOthers: `
+      UPDATE ${table} SET deleted = true, ${bump}
+      WHERE NOT deleted AND (${keys.join(', ')}) NOT IN (
+        SELECT ${keys.join(', ')} FROM jsonb_to_recordset($1::jsonb) AS r(${keyColumns})
+      )
+      ${returning}`,
+    select: `
+      SELECT ${table}.* FROM ${table}
+      JOIN jsonb_to_recordset($1::jsonb) AS r(${keyColumns}) ON ${matchKeys}`,
+    since: `SELECT * FROM ${table} WHERE revision > $1 ORDER BY revision`,
+    prune: `DELETE FROM ${table} WHERE deleted AND updated_at < now() - make_interval(days => $1)`
+  };
+}
+
+for (const kind of Object.values(SYNC_KINDS)) kind.sql = syncStatements(kind);
+
+// Keeps the normalized tables in step with globalMemory, for any number of
+// instances sharing them. Every row carries a revision. A save writes only
+// the rows that changed here, and only over the revision this instance last
+// saw; rows a peer changed in the meantime are merged and written again.
+// Which rows changed is told through markInputs() by whatever edits
+// knowledge, so a save compares those and the few whole documents rather
+// than all of memory.
+// Counters are pushed as increments. pull() folds in what peers committed,
+// and listen() hears about their commits as they happen.
+//
+// Writers serialize on PG_SYNC_LOCK for the length of their transaction, so
+// revisions become visible in order and a pull never skips one.
+class PostgresMemoryStore {
+  constructor(pool, { instanceId = INSTANCE_ID } = {}) {
+    this.pool = pool;
+    this.instanceId = instanceId;
+    this.journalKey = `journalSeq:${instanceId}`;
+    this.ready = null;
+    this.pending = Promise.resolve();
+    this.fullWrite = true; // Nothing is known about the tables until load()
+    this.diffAll = false; // Compare the whole document at the next save
+    this.synced = this._emptySynced(); // kind -> key -> { revision, value, signature }
+    this.syncedStats = {};
+    this.dirty = this._emptyDirty(); // kind -> keys changed since the last save
+    this.lastRevision = 0;
+    this.onChange = null;
+    this.onNotify = null;
+    this.listener = null;
+    this.relisten = null;
+  }
 
+  static entryRow(entry) {
     return {
-      ...this.metrics,
-      avgResponseTime: Math.round(avgResponseTime),
-      uptime: Date.now() - this.metrics.startTime,
-      errorRate: this.metrics.requestCount > 0
-        ? (this.metrics.errorCount / this.metrics.requestCount) * 100
-        : 0
+      id: entry.id,
+      input: entry.input,
+      response: entry.response,
+      quality: entry.quality,
+      confidence: entry.confidence ?? null,
+      pinned: Boolean(entry.pinned),
+      context: entry.context || null,
+      learned_at: entry.timestamp ?? null
     };
   }
-}
-
-const metrics = new MetricsCollector();
-
-// ============================================================================
-// RESPONSE CACHE
-// ============================================================================
 
-class ResponseCache {
-  constructor(ttl = CONFIG.RESPONSE_CACHE_TTL_MS) {
-    this.cache = new Map();
-    this.ttl = ttl;
+  static rowEntry(row) {
+    const entry = { id: row.id, input: row.input, response: row.response, quality: row.quality };
+    if (row.confidence !== null) entry.confidence = row.confidence;
+    if (row.learned_at !== null) entry.timestamp = Number(row.learned_at);
+    if (row.pinned) entry.pinned = true;
+    if (row.context) entry.context = row.context;
+    return entry;
   }
 
-  _hash(message) {
-    return crypto.createHash('md5').update(message.toLowerCase().trim()).digest('hex');
+  static clusterRows(keyword, cluster) {
+    return cluster.map((entry, rank) => ({ keyword, rank, ...this.entryRow(entry) }));
   }
 
-  get(message) {
-    const key = this._hash(message);
-    const entry = this.cache.get(key);
-    
-    if (!entry) return null;
-    
-    if (Date.now() - entry.timestamp > this.ttl) {
-      this.cache.delete(key);
-      return null;
+  static async insertBatches(client, sql, rows) {
+    for (let i = 0; i < rows.length; i += PG_BATCH_SIZE) {
+      await client.query(sql, [JSON.stringify(rows.slice(i, i + PG_BATCH_SIZE))]);
     }
-    
-    return entry.response;
   }
 
-  set(message, response) {
-    const key = this._hash(message);
-    this.cache.set(key, {
-      response,
-      timestamp: Date.now()
-    });
-    
-    // Limit cache size
-    if (this.cache.size > 1000) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
+  static upsertPairs(client, rows) {
+    return this.insertBatches(client, `
+      INSERT INTO knowledge_pairs (id, input, response, quality, confidence, pinned, context, learned_at)
+      SELECT id, input, response, quality, confidence, pinned, context, learned_at
+      FROM jsonb_to_recordset($1::jsonb) AS r(${ENTRY_COLUMNS})
+      ON CONFLICT (id) DO UPDATE SET
+        input = EXCLUDED.input, response = EXCLUDED.response, quality = EXCLUDED.quality,
+        confidence = EXCLUDED.confidence, pinned = EXCLUDED.pinned, context = EXCLUDED.context,
+        learned_at = EXCLUDED.learned_at, updated_at = now()
+    `, rows);
   }
 
-  clear() {
-    this.cache.clear();
+  static insertClusterEntries(client, rows) {
+    return this.insertBatches(client, `
+      INSERT INTO cluster_entries (keyword, entry_id, rank, input, response, quality, confidence, pinned, context, learned_at)
+      SELECT keyword, id, rank, input, response, quality, confidence, pinned, context, learned_at
+      FROM jsonb_to_recordset($1::jsonb) AS r(keyword text, rank integer, ${ENTRY_COLUMNS})
+    `, rows);
   }
-}
-
-const responseCache = new ResponseCache();
 
-// ============================================================================
-// RATE LIMITING
-// ============================================================================
+  static upsertScores(client, rows) {
+    return this.insertBatches(client, `
+      INSERT INTO quality_scores (input, score)
+      SELECT input, score FROM jsonb_to_recordset($1::jsonb) AS r(input text, score double precision)
+      ON CONFLICT (input) DO UPDATE SET score = EXCLUDED.score
+    `, rows);
+  }
 
-class RateLimiter {
-  constructor() {
-    this.limits = new Map();
+  static upsertStats(client, stats) {
+    return client.query(`
+      INSERT INTO memory_stats (name, value)
+      SELECT key, value::double precision FROM jsonb_each_text($1::jsonb)
+      ON CONFLICT (name) DO UPDATE SET value = EXCLUDED.value
+    `, [JSON.stringify(stats || {})]);
   }
 
-  check(identifier) {
-    const now = Date.now();
-    const limit = this.limits.get(identifier);
+  static upsertDocument(client, name, data) {
+    return client.query(`
+      INSERT INTO memory_documents (name, data, updated_at) VALUES ($1, $2::jsonb, now())
+      ON CONFLICT (name) DO UPDATE SET data = EXCLUDED.data, updated_at = now()
+    `, [name, JSON.stringify(data)]);
+  }
 
-    if (!limit || now > limit.resetTime) {
-      this.limits.set(identifier, {
-        count: 1,
-        resetTime: now + CONFIG.RATE_LIMIT_WINDOW_MS
-      });
-      return { allowed: true, remaining: CONFIG.RATE_LIMIT_MAX_REQUESTS - 1 };
+  // Replace everything in the normalized tables with the given memory document.
+  // Only the legacy import uses this, against the schema as of migration 3.
+  static async writeAll(client, memory) {
+    await client.query('TRUNCATE knowledge_pairs, cluster_entries, quality_scores, memory_stats, memory_documents');
+
+    await this.upsertPairs(client, memory.contextPairs.map(pair => this.entryRow(pair)));
+    await this.insertClusterEntries(client, Object.entries(memory.semanticClusters)
+      .flatMap(([keyword, cluster]) => this.clusterRows(keyword, cluster)));
+    await this.upsertScores(client, Object.entries(memory.qualityScores || {})
+      .map(([input, score]) => ({ input, score })));
+    await this.upsertStats(client, memory.stats);
+
+    for (const [name, data] of Object.entries(memory)) {
+      if (!NORMALIZED_SECTIONS.has(name) && data !== undefined) {
+        await this.upsertDocument(client, name, data);
+      }
     }
+  }
 
-    if (limit.count >= CONFIG.RATE_LIMIT_MAX_REQUESTS) {
-      return {
-        allowed: false,
-        remaining: 0,
-        resetTime: limit.resetTime
-      };
+  async migrate() {
+    if (!this.ready) {
+      this.ready = this._runMigrations().catch(err => {
+        this.ready = null;
+        throw err;
+      });
     }
-
-    limit.count++;
-    return {
-      allowed: true,
-      remaining: CONFIG.RATE_LIMIT_MAX_REQUESTS - limit.count
-    };
+    await this.ready;
   }
 
-  cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [key, limit] of this.limits.entries()) {
-      if (now > limit.resetTime) {
-        this.limits.delete(key);
-        cleaned++;
+  async _runMigrations() {
+    const client = await this.pool.connect();
+    try {
+      // Instances starting together must not race each other through the list
+      await client.query('SELECT pg_advisory_lock($1)', [PG_MIGRATION_LOCK]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version integer PRIMARY KEY,
+          name text NOT NULL,
+          applied_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+
+      const res = await client.query('SELECT version FROM schema_migrations');
+      const applied = new Set(res.rows.map(row => row.version));
+
+      for (const migration of PG_MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+
+        await client.query('BEGIN');
+        try {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Postgres migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+        }
+        logger.info('Applied Postgres migration', { version: migration.version, name: migration.name });
       }
-    }
-    
-    if (cleaned > 0) {
-      logger.info('Rate limiter cleanup', { cleaned });
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [PG_MIGRATION_LOCK]).catch(() => {});
+      client.release();
     }
   }
-}
 
-const rateLimiter = new RateLimiter();
+  // Assemble a memory document from the tables, or null when they are empty.
+  // Also takes what the tables hold as this instance's sync baseline.
+  async load() {
+    await this.migrate();
+
+    const client = await this.pool.connect();
+    const rows = {};
+    let stats;
+    try {
+      // One snapshot, so no revision is half-seen
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ');
+      for (const [name, kind] of Object.entries(SYNC_KINDS)) {
+        rows[name] = (await client.query(`SELECT * FROM ${kind.table} ORDER BY revision`)).rows;
+      }
+      stats = (await client.query('SELECT name, value FROM memory_stats')).rows;
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
 
-// Cleanup rate limiter every 5 minutes
-setInterval(() => rateLimiter.cleanup(), 5 * 60 * 1000);
+    const memory = { contextPairs: [], semanticClusters: {}, qualityScores: {}, stats: {} };
+    this.synced = this._emptySynced();
+    this.syncedStats = {};
+    this.lastRevision = 0;
+    let live = 0;
+    let legacyJournalSeq;
+
+    for (const [name, kind] of Object.entries(SYNC_KINDS)) {
+      for (const row of rows[name]) {
+        const key = kind.key(row);
+        const revision = Number(row.revision);
+        this.lastRevision = Math.max(this.lastRevision, revision);
+
+        // Written before instances kept their own
+        if (name === 'documents' && key === 'journalSeq') {
+          if (!row.deleted) legacyJournalSeq = row.data;
+          continue;
+        }
+        if (name === 'documents' && !this.sectionOf(key)) continue;
 
-// ============================================================================
-// INPUT VALIDATION & SANITIZATION
-// ============================================================================
+        const value = row.deleted ? null : kind.fromRow(row);
+        this.synced[name].set(key, this._syncedState(revision, value));
+        if (value !== null) {
+          kind.set(memory, key, value, this);
+          live++;
+        }
+      }
+    }
+    if (memory.journalSeq === undefined && legacyJournalSeq !== undefined) memory.journalSeq = legacyJournalSeq;
 
-class InputValidator {
-  static validateMessage(message) {
-    if (typeof message !== 'string') {
-      return { valid: false, error: 'Message must be a string' };
+    for (const cluster of Object.values(memory.semanticClusters)) {
+      cluster.sort((a, b) => IntelligentLearner.compareEntries(a, b));
+    }
+    for (const row of stats) {
+      memory.stats[row.name] = row.value;
+      this.syncedStats[row.name] = row.value;
     }
 
-    const trimmed = message.trim();
+    // Empty tables are seeded with whatever the first save holds
+    this.fullWrite = false;
+    this.diffAll = live + stats.length === 0;
+    this.dirty = this._emptyDirty();
+    return this.diffAll ? null : memory;
+  }
 
-    if (trimmed.length < CONFIG.MIN_MESSAGE_LENGTH) {
-      return { valid: false, error: 'Message is too short' };
+  // An input's pair, quality score and cluster entries changed, were added
+  // or were removed
+  markInputs(inputs) {
+    for (const input of inputs) {
+      this.dirty.pairs.add(input);
+      this.dirty.scores.add(input);
+      for (const keyword of IntelligentLearner.extractKeywords(input)) {
+        this.dirty.entries.add(`${keyword}${ENTRY_KEY_SEPARATOR}${input}`);
+      }
     }
+  }
 
-    if (trimmed.length > CONFIG.MAX_MESSAGE_LENGTH) {
-      return { valid: false, error: `Message exceeds maximum length of ${CONFIG.MAX_MESSAGE_LENGTH} characters` };
-    }
+  // Whole-document changes (re-keying, restores) overwrite every table, for
+  // every instance, instead of merging
+  markAll() {
+    this.fullWrite = true;
+  }
 
-    // Check for suspicious patterns (potential attacks)
-    const suspiciousPatterns = [
-      /<script/i,
-      /javascript:/i,
-      /on\w+\s*=/i, // Event handlers
-      /data:text\/html/i,
+  save(memory) {
+    return this._enqueue(() => this._flush(memory));
+  }
+
+  // Fold in whatever peers committed since the last pull
+  pull(memory) {
+    return this._enqueue(() => this._pull(memory));
+  }
+
+  // Saves and pulls both move the baseline, so they never overlap
+  _enqueue(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  sectionOf(name) {
+    if (name === this.journalKey) return 'journalSeq';
+    if (name === 'journalSeq' || name.startsWith('journalSeq:')) return null; // Another instance's
+    return name;
+  }
+
+  _emptySynced() {
+    return Object.fromEntries(Object.keys(SYNC_KINDS).map(name => [name, new Map()]));
+  }
+
+  // Documents are few and always compared whole, so they are not tracked
+  _emptyDirty() {
+    return { pairs: new Set(), entries: new Set(), scores: new Set() };
+  }
+
+  _markDirty(name, key) {
+    this.dirty[name]?.add(key);
+  }
+
+  _signature(value) {
+    return crypto.createHash('sha1').update(canonicalJson(value)).digest('hex');
+  }
+
+  _syncedState(revision, value) {
+    return value === null
+      ? { revision, value: null, signature: null }
+      : { revision, value: JSON.parse(JSON.stringify(value)), signature: this._signature(value) };
+  }
+
+  _touched() {
+    return { inputs: new Set(), keywords: new Set(), pairs: false, other: false, stats: false, merged: 0 };
+  }
+
+  // Rows of one kind that differ from the baseline, limited to keys if given
+  _diff(memory, name, { keys = null, fullWrite = false } = {}) {
+    const kind = SYNC_KINDS[name];
+    const synced = this.synced[name];
+    const current = keys ? null : kind.collect(memory, this);
+    const writes = [];
+    const removals = [];
+
+    for (const key of keys || new Set([...current.keys(), ...synced.keys()])) {
+      const value = current ? current.get(key) : kind.get(memory, key, this);
+      const state = synced.get(key);
+      if (value !== undefined) {
+        const signature = this._signature(value);
+        if (fullWrite || !state || state.signature !== signature) {
+          writes.push({
+            key,
+            value: JSON.parse(JSON.stringify(value)),
+            expected: state ? state.revision : null,
+            row: kind.toRow(key, value, memory)
+          });
+        }
+      } else if (state && state.value !== null) {
+        removals.push({ key, expected: state.revision });
+      }
+    }
+
+    return { writes, removals, keep: fullWrite ? Array.from(current.keys()) : null };
+  }
+
+  static keyRow(kind, key) {
+    const values = kind.keys.length > 1 ? splitEntryKey(key) : [key];
+    return Object.fromEntries(kind.keys.map((column, i) => [column, values[i]]));
+  }
+
+  static async queryBatches(client, sql, rows) {
+    const results = [];
+    for (let i = 0; i < rows.length; i += PG_BATCH_SIZE) {
+      const res = await client.query(sql, [JSON.stringify(rows.slice(i, i + PG_BATCH_SIZE))]);
+      results.push(...res.rows);
+    }
+    return results;
+  }
+
+  // Fold one stored row into memory. A value left alone here since the last
+  // sync simply takes the stored one; one changed on both sides is merged,
+  // and the merge is written back by the next save.
+  _integrate(memory, name, key, value, revision, touched) {
+    const kind = SYNC_KINDS[name];
+    const state = this.synced[name].get(key);
+    const local = kind.get(memory, key, this);
+    const localSignature = local === undefined ? null : this._signature(local);
+
+    let result;
+    if (localSignature === (state ? state.signature : null)) {
+      result = value;
+    } else if (value === null || local === undefined) {
+      // Changed on one side, deleted on the other: the change wins
+      result = value === null ? local : value;
+    } else {
+      result = kind.merge(local, value, state ? state.value : null, key);
+    }
+    if (result !== value) {
+      // Differs from the table until saved
+      touched.merged++;
+      this._markDirty(name, key);
+    }
+
+    this.synced[name].set(key, this._syncedState(revision, value));
+    if ((result ?? undefined) === local) return;
+
+    if (result === null || result === undefined) kind.remove(memory, key, this);
+    else kind.set(memory, key, result, this);
+
+    if (name === 'pairs' || name === 'entries') {
+      const [keyword, input] = name === 'entries' ? splitEntryKey(key) : [null, key];
+      touched.inputs.add(input);
+      if (keyword) touched.keywords.add(keyword);
+      else touched.pairs = true;
+    } else {
+      touched.other = true;
+    }
+  }
+
+  // Counters are shared totals: whatever the table gained beyond this
+  // instance's own increments was counted by peers
+  _foldStats(memory, rows, pushed, touched) {
+    for (const { name, value } of rows) {
+      const expected = (this.syncedStats[name] || 0) + (pushed[name] || 0);
+      if (value !== expected) {
+        memory.stats[name] = (memory.stats[name] || 0) + value - expected;
+        touched.stats = true;
+      }
+      this.syncedStats[name] = value;
+    }
+  }
+
+  // Re-apply the limits learnPattern keeps, then report what moved
+  _settle(memory, touched) {
+    for (const keyword of touched.keywords) {
+      const cluster = memory.semanticClusters[keyword];
+      if (!cluster) continue;
+      cluster.sort((a, b) => IntelligentLearner.compareEntries(a, b));
+      if (cluster.length > 20) {
+        for (const entry of cluster.slice(20)) {
+          touched.inputs.add(entry.input);
+          this._markDirty('entries', `${keyword}${ENTRY_KEY_SEPARATOR}${entry.input}`);
+        }
+        memory.semanticClusters[keyword] = cluster.slice(0, 20);
+      }
+    }
+    if (touched.pairs && memory.contextPairs.length > 1000) {
+      memory.contextPairs.sort((a, b) => IntelligentLearner.compareEntries(a, b));
+      for (const pair of memory.contextPairs.slice(1000)) {
+        touched.inputs.add(pair.input);
+        this._markDirty('pairs', pair.input);
+      }
+      memory.contextPairs = memory.contextPairs.slice(0, 1000);
+    }
+
+    if (this.onChange && (touched.inputs.size > 0 || touched.other || touched.stats)) {
+      this.onChange({ inputs: Array.from(touched.inputs), stats: touched.stats, merged: touched.merged });
+    }
+  }
+
+  // Write one kind's changes, merging any a peer got to first. Written
+  // revisions are collected in done and only become the baseline on commit.
+  async _push(client, memory, name, { writes, removals }, touched, done) {
+    const kind = SYNC_KINDS[name];
+    const revisions = rows => new Map(rows.map(row => [kind.key(row), Number(row.revision)]));
+
+    for (let attempt = 0; writes.length + removals.length > 0; attempt++) {
+      // Holding PG_SYNC_LOCK, a merged write cannot conflict again
+      if (attempt > 1) throw new Error(`Conflicting writes to ${kind.table} did not settle`);
+
+      const updated = revisions(await PostgresMemoryStore.queryBatches(client, kind.sql.update,
+        writes.filter(write => write.expected !== null).map(write => ({ ...write.row, expected: write.expected }))));
+      const inserted = revisions(await PostgresMemoryStore.queryBatches(client, kind.sql.insert,
+        writes.filter(write => !updated.has(write.key)).map(write => write.row)));
+      const removed = revisions(await PostgresMemoryStore.queryBatches(client, kind.sql.remove,
+        removals.map(removal => ({ ...PostgresMemoryStore.keyRow(kind, removal.key), expected: removal.expected }))));
+
+      const conflicts = [];
+      for (const write of writes) {
+        const revision = updated.get(write.key) ?? inserted.get(write.key);
+        if (revision === undefined) conflicts.push(write.key);
+        else done.push([name, write.key, revision, write.value]);
+      }
+      for (const removal of removals) {
+        const revision = removed.get(removal.key);
+        if (revision === undefined) conflicts.push(removal.key);
+        else done.push([name, removal.key, revision, null]);
+      }
+      if (conflicts.length === 0) return;
+
+      const remote = await PostgresMemoryStore.queryBatches(client, kind.sql.select,
+        conflicts.map(key => PostgresMemoryStore.keyRow(kind, key)));
+      const found = new Set();
+      for (const row of remote) {
+        const key = kind.key(row);
+        found.add(key);
+        this._integrate(memory, name, key, row.deleted ? null : kind.fromRow(row), Number(row.revision), touched);
+      }
+      // Tombstones pruned since: there is nothing left to delete
+      for (const key of conflicts) {
+        if (!found.has(key)) this.synced[name].delete(key);
+      }
+
+      ({ writes, removals } = this._diff(memory, name, { keys: conflicts }));
+    }
+  }
+
+  async _flush(memory) {
+    await this.migrate();
+
+    // Work out the changes synchronously, before memory can move on. Only
+    // what was marked is compared, unless the whole document has to be.
+    const fullWrite = this.fullWrite;
+    const diffAll = fullWrite || this.diffAll;
+    const dirty = this.dirty;
+    this.fullWrite = false;
+    this.diffAll = false;
+    this.dirty = this._emptyDirty();
+    const changes = Object.fromEntries(Object.keys(SYNC_KINDS).map(name =>
+      [name, this._diff(memory, name, { fullWrite, keys: diffAll ? null : dirty[name] || null })]));
+
+    const stats = { ...memory.stats };
+    const pushed = {};
+    for (const [name, value] of Object.entries(stats)) {
+      const delta = value - (this.syncedStats[name] || 0);
+      if (fullWrite || delta !== 0 || !(name in this.syncedStats)) pushed[name] = delta;
+    }
+
+    const touched = this._touched();
+    const done = [];
+    let statRows;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [PG_SYNC_LOCK]);
+
+      for (const [name, change] of Object.entries(changes)) {
+        const kind = SYNC_KINDS[name];
+        if (!fullWrite) {
+          await this._push(client, memory, name, change, touched, done);
+          continue;
+        }
+
+        const values = new Map(change.writes.map(write => [write.key, write.value]));
+        for (const row of await PostgresMemoryStore.queryBatches(client, kind.sql.upsert, change.writes.map(write => write.row))) {
+          done.push([name, kind.key(row), Number(row.revision), values.get(kind.key(row))]);
+        }
+        const removed = await client.query(kind.sql.removeOthers,
+          [JSON.stringify(change.keep.map(key => PostgresMemoryStore.keyRow(kind, key)))]);
+        for (const row of removed.rows) done.push([name, kind.key(row), Number(row.revision), null]);
+      }
+
+      // A full write sets the counters; otherwise they are incremented
+      await client.query(`
+        INSERT INTO memory_stats (name, value)
+        SELECT key, value::double precision FROM jsonb_each_text($1::jsonb)
+        ON CONFLICT (name) DO UPDATE SET value = ${fullWrite ? 'EXCLUDED.value' : 'memory_stats.value + EXCLUDED.value'}
+      `, [JSON.stringify(fullWrite ? stats : pushed)]);
+      statRows = (await client.query('SELECT name, value FROM memory_stats')).rows;
+
+      if (done.length > 0 || Object.keys(pushed).length > 0) {
+        await client.query('SELECT pg_notify($1, $2)', [SYNC_CHANNEL, JSON.stringify({ instance: this.instanceId })]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      // The baseline still describes the tables, so the next save diffs the
+      // same changes again
+      if (fullWrite) this.fullWrite = true;
+      if (diffAll) this.diffAll = true;
+      for (const [name, keys] of Object.entries(dirty)) keys.forEach(key => this._markDirty(name, key));
+      this._settle(memory, touched);
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    for (const [name, key, revision, value] of done) {
+      this.synced[name].set(key, this._syncedState(revision, value));
+    }
+    this._foldStats(memory, statRows, pushed, touched);
+    this._settle(memory, touched);
+
+    return {
+      fullWrite,
+      written: done.filter(([, , , value]) => value !== null).length,
+      removed: done.filter(([, , , value]) => value === null).length,
+      merged: touched.merged
+    };
+  }
+
+  async _pull(memory) {
+    await this.migrate();
+
+    const client = await this.pool.connect();
+    const rows = {};
+    let stats;
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ');
+      for (const [name, kind] of Object.entries(SYNC_KINDS)) {
+        rows[name] = (await client.query(kind.sql.since, [this.lastRevision])).rows;
+      }
+      stats = (await client.query('SELECT name, value FROM memory_stats')).rows;
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const touched = this._touched();
+    let received = 0;
+    for (const [name, kind] of Object.entries(SYNC_KINDS)) {
+      for (const row of rows[name]) {
+        const key = kind.key(row);
+        const revision = Number(row.revision);
+        this.lastRevision = Math.max(this.lastRevision, revision);
+
+        if (name === 'documents' && !this.sectionOf(key)) continue;
+        // Already known, usually because this instance wrote it
+        if ((this.synced[name].get(key)?.revision ?? 0) >= revision) continue;
+
+        this._integrate(memory, name, key, row.deleted ? null : kind.fromRow(row), revision, touched);
+        received++;
+      }
+    }
+    this._foldStats(memory, stats, {}, touched);
+    this._settle(memory, touched);
+
+    return { received, inputs: touched.inputs.size, lastRevision: this.lastRevision };
+  }
+
+  // Keep a connection LISTENing for peers' commits and call onNotify for
+  // each. A lost connection is re-established, then onNotify is called once
+  // more since notifications sent meanwhile are gone.
+  // Resolves even when LISTEN fails; the connection is then retried in the
+  // background and onNotify fires once it is back
+  async listen(onNotify) {
+    await this.migrate();
+    this.onNotify = onNotify;
+    try {
+      await this._connectListener();
+    } catch (err) {
+      logger.warn('Postgres sync notifications unavailable, retrying', { error: err.message });
+      this._scheduleListen();
+    }
+  }
+
+  async _connectListener() {
+    const client = await this.pool.connect();
+    client.on('notification', (message) => {
+      let payload = {};
+      try {
+        payload = JSON.parse(message.payload);
+      } catch (err) {
+        // Not one of ours; pull anyway
+      }
+      if (payload.instance !== this.instanceId) this.onNotify?.(payload);
+    });
+    client.on('error', (err) => {
+      logger.warn('Lost the Postgres sync connection', { error: err.message });
+      this._dropListener(client, err);
+    });
+
+    try {
+      await client.query(`LISTEN ${SYNC_CHANNEL}`);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    this.listener = client;
+  }
+
+  _dropListener(client, err) {
+    if (this.listener !== client) return;
+    this.listener = null;
+    client.release(err);
+    if (this.onNotify) this._scheduleListen();
+  }
+
+  _scheduleListen() {
+    this.relisten = setTimeout(async () => {
+      this.relisten = null;
+      if (!this.onNotify) return;
+      try {
+        await this._connectListener();
+        this.onNotify?.({});
+      } catch (err) {
+        logger.warn('Postgres sync notifications unavailable, retrying', { error: err.message });
+        this._scheduleListen();
+      }
+    }, SYNC_RETRY_MS);
+  }
+
+  async unlisten() {
+    this.onNotify = null;
+    if (this.relisten) clearTimeout(this.relisten);
+    this.relisten = null;
+
+    const client = this.listener;
+    this.listener = null;
+    if (client) {
+      await client.query(`UNLISTEN ${SYNC_CHANNEL}`).catch(() => {});
+      client.release();
+    }
+  }
+
+  // Forget deletions old enough that every live peer has pulled them
+  async pruneTombstones(days = CONFIG.SYNC_TOMBSTONE_DAYS) {
+    await this.migrate();
+    let pruned = 0;
+    for (const kind of Object.values(SYNC_KINDS)) {
+      pruned += (await this.pool.query(kind.sql.prune, [days])).rowCount;
+    }
+    return pruned;
+  }
+}
+
+const pgStore = pgPool ? new PostgresMemoryStore(pgPool) : null;
+
+// ============================================================================
+// LOGGING UTILITY
+// ============================================================================
+
+class Logger {
+  constructor() {
+    this.requestId = null;
+    this.allToStderr = false;
+  }
+
+  _log(level, msg, data = {}) {
+    const logEntry = {
+      level,
+      time: new Date().toISOString(),
+      msg,
+      requestId: this.requestId,
+      ...data
+    };
+    
+    const output = JSON.stringify(logEntry);
+    
+    if (level === 'ERROR' || this.allToStderr) {
+      console.error(output);
+    } else if (level === 'WARN') {
+      console.warn(output);
+    } else {
+      console.log(output);
+    }
+  }
+
+  info(msg, data = {}) {
+    this._log('INFO', msg, data);
+  }
+
+  error(msg, error, data = {}) {
+    this._log('ERROR', msg, {
+      error: error?.message || error,
+      stack: error?.stack,
+      ...data
+    });
+  }
+
+  warn(msg, data = {}) {
+    this._log('WARN', msg, data);
+  }
+
+  setRequestId(id) {
+    this.requestId = id;
+    return this;
+  }
+
+  // Keeps stdout clean for CLI commands that write data there
+  redirectToStderr() {
+    this.allToStderr = true;
+    return this;
+  }
+}
+
+const logger = new Logger();
+
+// ============================================================================
+// METRICS COLLECTION
+// ============================================================================
+
+// Seconds; covers a cached chat reply up to a slow Postgres save
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Minimal Prometheus metric families, keyed by their label values
+class CounterFamily {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = JSON.stringify(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+  }
+
+  expose() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class HistogramFamily {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  expose() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Read at scrape time; read() returns a number or [{ labels, value }]
+class GaugeFamily {
+  constructor(name, help, read) {
+    this.name = name;
+    this.help = help;
+    this.read = read;
+  }
+
+  expose() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    const value = this.read();
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+    for (const sample of samples) {
+      lines.push(`${this.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+    return lines;
+  }
+}
+
+// Running totals for /api/metrics plus labeled families for /metrics
+class MetricsCollector {
+  constructor() {
+    this.metrics = {
+      requestCount: 0,
+      errorCount: 0,
+      totalResponseTime: 0,
+      learningCount: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      startTime: Date.now()
+    };
+
+    this.httpDuration = new HistogramFamily(
+      'turingai_http_request_duration_seconds', 'HTTP request duration by route and status');
+    this.learningEvents = new CounterFamily(
+      'turingai_learning_events_total', 'Patterns learned, by source');
+    this.garbageRejections = new CounterFamily(
+      'turingai_garbage_rejections_total', 'Texts rejected by the garbage filter, by rule that fired and stage');
+    this.cacheRequests = new CounterFamily(
+      'turingai_response_cache_requests_total', 'Response cache lookups, by result');
+    this.saveDuration = new HistogramFamily(
+      'turingai_save_duration_seconds', 'Memory save duration per backend');
+    this.saveFailures = new CounterFamily(
+      'turingai_save_failures_total', 'Failed memory saves per backend');
+    this.apiKeyRequests = new CounterFamily(
+      'turingai_api_key_requests_total', 'Requests made with an API key, by key and outcome');
+    this.intentMatches = new CounterFamily(
+      'turingai_intent_matches_total', 'Fallback replies, by the intent rule that produced them');
+    this.chatDispositions = new CounterFamily(
+      'turingai_chat_dispositions_total', 'Chat messages by disposition and the reason for it');
+    this.gauges = [];
+  }
+
+  registerGauge(name, help, read) {
+    this.gauges.push(new GaugeFamily(name, help, read));
+  }
+
+  recordHttpRequest(method, route, status, seconds) {
+    this.httpDuration.observe({ method, route, status: String(status) }, seconds);
+  }
+
+  recordGarbage(reason, stage) {
+    this.garbageRejections.inc({ reason, stage });
+  }
+
+  recordSave(backend, seconds, ok = true) {
+    this.saveDuration.observe({ backend }, seconds);
+    if (!ok) this.saveFailures.inc({ backend });
+  }
+
+  recordApiKeyRequest(keyId, outcome) {
+    this.apiKeyRequests.inc({ key: keyId, outcome });
+  }
+
+  recordIntent(rule) {
+    this.intentMatches.inc({ rule });
+  }
+
+  recordDisposition(disposition, reason) {
+    this.chatDispositions.inc({ disposition, reason: reason || 'none' });
+  }
+
+  cacheHitRatio() {
+    const lookups = this.metrics.cacheHits + this.metrics.cacheMisses;
+    return lookups > 0 ? this.metrics.cacheHits / lookups : 0;
+  }
+
+  // Prometheus text exposition format, version 0.0.4
+  toPrometheus() {
+    const families = [
+      this.httpDuration,
+      this.learningEvents,
+      this.garbageRejections,
+      this.cacheRequests,
+      new GaugeFamily('turingai_response_cache_hit_ratio', 'Share of cache lookups that hit', () => this.cacheHitRatio()),
+      this.saveDuration,
+      this.saveFailures,
+      this.apiKeyRequests,
+      this.intentMatches,
+      this.chatDispositions,
+      new GaugeFamily('turingai_uptime_seconds', 'Seconds since the server started',
+        () => (Date.now() - this.metrics.startTime) / 1000),
+      ...this.gauges
     ];
+    return families.map(family => family.expose().join('\n')).join('\n') + '\n';
+  }
+
+  recordRequest(duration, hasError = false) {
+    this.metrics.requestCount++;
+    this.metrics.totalResponseTime += duration;
+    if (hasError) this.metrics.errorCount++;
+  }
+
+  recordLearning(source) {
+    this.metrics.learningCount++;
+    this.learningEvents.inc({ source });
+  }
+
+  recordCacheHit() {
+    this.metrics.cacheHits++;
+    this.cacheRequests.inc({ result: 'hit' });
+  }
+
+  recordCacheMiss() {
+    this.metrics.cacheMisses++;
+    this.cacheRequests.inc({ result: 'miss' });
+  }
+
+  getMetrics() {
+    const avgResponseTime = this.metrics.requestCount > 0
+      ? this.metrics.totalResponseTime / this.metrics.requestCount
+      : 0;
+
+    return {
+      ...this.metrics,
+      avgResponseTime: Math.round(avgResponseTime),
+      uptime: Date.now() - this.metrics.startTime,
+      errorRate: this.metrics.requestCount > 0
+        ? (this.metrics.errorCount / this.metrics.requestCount) * 100
+        : 0
+    };
+  }
+}
+
+const metrics = new MetricsCollector();
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+class ResponseCache {
+  constructor(ttl = CONFIG.RESPONSE_CACHE_TTL_MS) {
+    this.cache = new Map();
+    this.ttl = ttl;
+  }
+
+  _hash(message) {
+    return crypto.createHash('md5').update(message.toLowerCase().trim()).digest('hex');
+  }
+
+  get(message) {
+    const key = this._hash(message);
+    const entry = this.cache.get(key);
+    
+    if (!entry) return null;
+    
+    if (Date.now() - entry.timestamp > this.ttl) {
+      this.cache.delete(key);
+      return null;
+    }
+    
+    return entry.response;
+  }
+
+  set(message, response) {
+    const key = this._hash(message);
+    this.cache.set(key, {
+      response,
+      timestamp: Date.now()
+    });
+    
+    // Limit cache size
+    if (this.cache.size > 1000) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+const responseCache = new ResponseCache();
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+class RateLimiter {
+  constructor() {
+    this.limits = new Map();
+  }
+
+  check(identifier, max = CONFIG.RATE_LIMIT_MAX_REQUESTS) {
+    const now = Date.now();
+    const limit = this.limits.get(identifier);
+
+    if (!limit || now > limit.resetTime) {
+      this.limits.set(identifier, {
+        count: 1,
+        resetTime: now + CONFIG.RATE_LIMIT_WINDOW_MS
+      });
+      return { allowed: true, remaining: max - 1 };
+    }
+
+    if (limit.count >= max) {
+      return {
+        allowed: false,
+        remaining: 0,
+        resetTime: limit.resetTime
+      };
+    }
+
+    limit.count++;
+    return {
+      allowed: true,
+      remaining: max - limit.count
+    };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [key, limit] of this.limits.entries()) {
+      if (now > limit.resetTime) {
+        this.limits.delete(key);
+        cleaned++;
+      }
+    }
+    
+    if (cleaned > 0) {
+      logger.info('Rate limiter cleanup', { cleaned });
+    }
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+// Cleanup rate limiter every 5 minutes
+setInterval(() => rateLimiter.cleanup(), 5 * 60 * 1000).unref();
+
+// ============================================================================
+// INPUT VALIDATION & SANITIZATION
+// ============================================================================
+
+class InputValidator {
+  static validateMessage(message) {
+    if (typeof message !== 'string') {
+      return { valid: false, error: 'Message must be a string' };
+    }
+
+    const trimmed = message.trim();
+
+    if (trimmed.length < CONFIG.MIN_MESSAGE_LENGTH) {
+      return { valid: false, error: 'Message is too short' };
+    }
+
+    if (trimmed.length > CONFIG.MAX_MESSAGE_LENGTH) {
+      return { valid: false, error: `Message exceeds maximum length of ${CONFIG.MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    // Check for suspicious patterns (potential attacks)
+    const suspiciousPatterns = [
+      /<script/i,
+      /javascript:/i,
+      /<[^>]*\son\w+\s*=/i, // Event handlers inside a tag
+      /data:text\/html/i,
+    ];
+
+    for (const pattern of suspiciousPatterns) {
+      if (pattern.test(message)) {
+        return { valid: false, error: 'Message contains suspicious content' };
+      }
+    }
+
+    return { valid: true, message: trimmed };
+  }
+
+  static validateSessionId(sessionId) {
+    if (typeof sessionId !== 'string') {
+      return { valid: false, error: 'Session ID must be a string' };
+    }
+
+    // Session ID should be alphanumeric with underscores
+    if (!/^[a-zA-Z0-9_-]{1,100}$/.test(sessionId)) {
+      return { valid: false, error: 'Invalid session ID format' };
+    }
+
+    return { valid: true, sessionId };
+  }
+}
+
+// ============================================================================
+// TEXT PROCESSING UTILITIES
+// ============================================================================
+
+class TextCleaner {
+  static clean(text) {
+    if (!text) return '';
+    
+    // Remove common conversation prefixes
+    let cleaned = text.trim();
+    
+    // Remove patterns like "Human 1:", "Human 2:", "Person A:", "Speaker 1:", etc.
+    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*[0-9]+\s*:\s*/i, '');
+    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*[A-Z]\s*:\s*/i, '');
+    
+    // Remove just "Human:", "Person:", etc.
+    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*:\s*/i, '');
+    
+    // Remove leading/trailing quotes that might be artifacts
+    cleaned = cleaned.replace(/^["']|["']$/g, '');
+    
+    // Normalize whitespace
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+    cleaned = profanityFilter.apply(cleaned);
+    
+    return cleaned.substring(0, CONFIG.MAX_MESSAGE_LENGTH);
+  }
+
+  static normalize(text) {
+    return text.toLowerCase().trim();
+  }
+}
+
+// Porter (1980) suffix-stripping stemmer
+class PorterStemmer {
+  static _isConsonant(word, i) {
+    const ch = word[i];
+    if ('aeiou'.includes(ch)) return false;
+    if (ch === 'y') return i === 0 || !this._isConsonant(word, i - 1);
+    return true;
+  }
+
+  // Number of vowel-consonant sequences in the stem ("m" in the paper)
+  static _measure(stem) {
+    let count = 0;
+    let i = 0;
+    const len = stem.length;
+
+    while (i < len && this._isConsonant(stem, i)) i++;
+    while (i < len) {
+      while (i < len && !this._isConsonant(stem, i)) i++;
+      if (i >= len) break;
+      while (i < len && this._isConsonant(stem, i)) i++;
+      count++;
+    }
+    return count;
+  }
+
+  static _hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+      if (!this._isConsonant(stem, i)) return true;
+    }
+    return false;
+  }
+
+  static _endsDoubleConsonant(word) {
+    const len = word.length;
+    return len >= 2 && word[len - 1] === word[len - 2] && this._isConsonant(word, len - 1);
+  }
+
+  // consonant-vowel-consonant ending where the last consonant is not w, x or y
+  static _endsCVC(word) {
+    const len = word.length;
+    if (len < 3) return false;
+    return this._isConsonant(word, len - 3) &&
+      !this._isConsonant(word, len - 2) &&
+      this._isConsonant(word, len - 1) &&
+      !'wxy'.includes(word[len - 1]);
+  }
+
+  static _replaceSuffix(word, rules, minMeasure) {
+    for (const [suffix, replacement] of rules) {
+      if (word.endsWith(suffix)) {
+        const stem = word.slice(0, -suffix.length);
+        return this._measure(stem) > minMeasure ? stem + replacement : word;
+      }
+    }
+    return word;
+  }
+
+  static stem(word) {
+    if (word.length <= 2) return word;
+
+    // Step 1a: plurals
+    if (word.endsWith('sses')) word = word.slice(0, -2);
+    else if (word.endsWith('ies')) word = word.slice(0, -2);
+    else if (word.endsWith('ss')) { /* unchanged */ }
+    else if (word.endsWith('s')) word = word.slice(0, -1);
+
+    // Step 1b: past tense and gerunds
+    let step1bTrimmed = false;
+    if (word.endsWith('eed')) {
+      if (this._measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else if (word.endsWith('ed') && this._hasVowel(word.slice(0, -2))) {
+      word = word.slice(0, -2);
+      step1bTrimmed = true;
+    } else if (word.endsWith('ing') && this._hasVowel(word.slice(0, -3))) {
+      word = word.slice(0, -3);
+      step1bTrimmed = true;
+    }
+
+    if (step1bTrimmed) {
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (this._endsDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+        word = word.slice(0, -1);
+      } else if (this._measure(word) === 1 && this._endsCVC(word)) {
+        word += 'e';
+      }
+    }
+
+    // Step 1c: terminal y
+    if (word.endsWith('y') && this._hasVowel(word.slice(0, -1))) {
+      word = word.slice(0, -1) + 'i';
+    }
+
+    // Step 2: double suffixes
+    word = this._replaceSuffix(word, [
+      ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+      ['izer', 'ize'], ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'],
+      ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'],
+      ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'],
+      ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+    ], 0);
+
+    // Step 3
+    word = this._replaceSuffix(word, [
+      ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+      ['ical', 'ic'], ['ful', ''], ['ness', '']
+    ], 0);
+
+    // Step 4: strip remaining suffixes from longer stems
+    const step4 = [
+      'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+      'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+    ].sort((a, b) => b.length - a.length);
+    for (const suffix of step4) {
+      if (!word.endsWith(suffix)) continue;
+      const stem = word.slice(0, -suffix.length);
+      if (this._measure(stem) > 1 &&
+          (suffix !== 'ion' || /[st]$/.test(stem))) {
+        word = stem;
+      }
+      break;
+    }
+
+    // Step 5: tidy up a final e and double l
+    if (word.endsWith('e')) {
+      const stem = word.slice(0, -1);
+      const m = this._measure(stem);
+      if (m > 1 || (m === 1 && !this._endsCVC(stem))) word = stem;
+    }
+    if (this._measure(word) > 1 && word.endsWith('ll')) {
+      word = word.slice(0, -1);
+    }
+
+    return word;
+  }
+}
+
+// Words too common to help retrieval
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 
+  'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 
+  'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 
+  'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 
+  'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which', 
+  'who', 'when', 'where', 'why', 'how'
+]);
+
+// Contractions and chat shorthand are expanded before tokenizing
+const CONTRACTIONS = {
+  "won't": 'will not', "can't": 'can not', "shan't": 'shall not', "ain't": 'is not',
+  "let's": 'let us', "y'all": 'you all', "i'm": 'i am', "it's": 'it is',
+  "that's": 'that is', "what's": 'what is', "there's": 'there is', "here's": 'here is',
+  "who's": 'who is', "where's": 'where is', "how's": 'how is', "he's": 'he is',
+  "she's": 'she is'
+};
+
+const CHAT_SLANG = {
+  u: 'you', ur: 'your', r: 'are', ya: 'you', yall: 'you all', pls: 'please',
+  plz: 'please', thx: 'thanks', ty: 'thank you', idk: 'i do not know',
+  imo: 'in my opinion', imho: 'in my opinion', tbh: 'to be honest',
+  btw: 'by the way', gonna: 'going to', wanna: 'want to', gotta: 'got to',
+  kinda: 'kind of', sorta: 'sort of', bc: 'because', cuz: 'because',
+  coz: 'because', ppl: 'people', msg: 'message', luv: 'love', gr8: 'great',
+  b4: 'before', '2day': 'today', '2morrow': 'tomorrow', tmrw: 'tomorrow',
+  rn: 'right now', bday: 'birthday', fav: 'favorite', fave: 'favorite'
+};
+
+// Irregular forms the stemmer cannot reach
+const IRREGULAR_LEMMAS = {
+  ran: 'run', went: 'go', gone: 'go', ate: 'eat', eaten: 'eat', saw: 'see',
+  seen: 'see', thought: 'think', bought: 'buy', brought: 'bring', made: 'make',
+  said: 'say', told: 'tell', took: 'take', taken: 'take', came: 'come',
+  got: 'get', gotten: 'get', felt: 'feel', knew: 'know', known: 'know',
+  wrote: 'write', written: 'write', drove: 'drive', driven: 'drive',
+  sang: 'sing', sung: 'sing', swam: 'swim', began: 'begin', begun: 'begin',
+  drank: 'drink', spoke: 'speak', flew: 'fly', gave: 'give', given: 'give',
+  found: 'find', kept: 'keep', slept: 'sleep', met: 'meet', paid: 'pay',
+  sold: 'sell', sent: 'send', spent: 'spend', built: 'build', taught: 'teach',
+  caught: 'catch', fought: 'fight', chose: 'choose', wore: 'wear', grew: 'grow',
+  threw: 'throw', held: 'hold', stood: 'stand', understood: 'understand',
+  sat: 'sit', heard: 'hear', children: 'child', men: 'man', women: 'woman',
+  mice: 'mouse', feet: 'foot', teeth: 'tooth'
+};
+
+const SYNONYMS_FILE = process.env.SYNONYMS_FILE || path.join(__dirname, 'config', 'synonyms.json');
+let synonymTable = null;
+
+class TextNormalizer {
+  // canonical term -> list of variants, read once from the synonyms file
+  static loadSynonyms() {
+    let table = {};
+    try {
+      table = JSON.parse(fsSync.readFileSync(SYNONYMS_FILE, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn('Failed to load synonyms, continuing without them', {
+          file: SYNONYMS_FILE,
+          error: err.message
+        });
+      }
+    }
+
+    // Keys are normalized the same way as text so plurals and inflections
+    // of a variant map onto the canonical term too
+    const map = new Map();
+    for (const [canonical, variants] of Object.entries(table)) {
+      if (!Array.isArray(variants)) continue;
+      const target = this._stemWord(canonical.toLowerCase());
+      for (const variant of variants) {
+        map.set(this._stemWord(String(variant).toLowerCase()), target);
+      }
+    }
+
+    synonymTable = { table, map };
+    return synonymTable;
+  }
+
+  static get synonyms() {
+    return synonymTable || this.loadSynonyms();
+  }
+
+  // Identifies the pipeline plus synonym table that produced cluster keys, so
+  // stored memory can be re-keyed when either changes
+  static get pipelineVersion() {
+    const digest = crypto.createHash('sha1')
+      .update(JSON.stringify(this.synonyms.table))
+      .digest('hex')
+      .slice(0, 12);
+    return `porter-1:${digest}`;
+  }
+
+  static expand(text) {
+    return text.toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[a-z0-9']+/g, (token) => {
+        if (CONTRACTIONS[token]) return CONTRACTIONS[token];
+        if (CHAT_SLANG[token]) return CHAT_SLANG[token];
+        return token
+          .replace(/n't$/, ' not')
+          .replace(/'re$/, ' are')
+          .replace(/'ve$/, ' have')
+          .replace(/'ll$/, ' will')
+          .replace(/'d$/, ' would')
+          .replace(/'m$/, ' am')
+          .replace(/'s$/, '');
+      });
+  }
+
+  static _stemWord(word) {
+    return PorterStemmer.stem(IRREGULAR_LEMMAS[word] || word);
+  }
+
+  static normalizeTerm(word) {
+    const stemmed = this._stemWord(word);
+    return this.synonyms.map.get(stemmed) || stemmed;
+  }
+
+  // Shared by learning and retrieval so both sides agree on terms
+  static terms(text) {
+    return this.expand(text)
+      .replace(/[^a-z0-9\s]/g, '')
+      .split(/\s+/)
+      .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+      .map(w => this.normalizeTerm(w));
+  }
+}
+
+// Profanity lists, one per locale, read from PROFANITY_DIR/<locale>.json:
+//
+//   { "terms": [{
+//       "term": "fuck",
+//       "severity": "moderate",     mild, moderate or severe
+//       "wholeWord": true           optional; only match the term as a word
+//                                   (or phrase), never inside another word
+//     }],
+//     "allowlist": ["scunthorpe"]   known false positives: words starting
+//                                   with an entry are skipped by this list
+//   }
+//
+// Text is normalized (case, diacritics, leet speak) before matching, so a
+// term also matches inside a word, spelled out ("f.u.c.k", "f u c k") or
+// stretched ("fuuuuck") unless it is whole-word only. Words are checked one
+// at a time, so letters of neighbouring words never join up ("push it").
+// PROFANITY_LOCALES picks the lists in use; by default every file in the
+// directory is. All are read at startup and an invalid file stops it.
+const PROFANITY_DIR = process.env.PROFANITY_DIR || path.join(__dirname, 'config', 'profanity');
+const PROFANITY_LOCALES = process.env.PROFANITY_LOCALES
+  ? process.env.PROFANITY_LOCALES.split(',').map(locale => locale.trim()).filter(Boolean)
+  : null;
+const PROFANITY_SEVERITIES = ['mild', 'moderate', 'severe'];
+const PROFANITY_MODES = new Set(['reject', 'mask']);
+const PROFANITY_LEET = { '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '8': 'b' };
+
+function normalizeForProfanity(text) {
+  if (!text) return { plain: '', original: '', lettersOnly: '', collapsed: '', squeezed: '' };
+
+  // Decompose first so diacritics come off as separate marks ("ñ" -> "n")
+  const plain = text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  const normalized = plain.replace(/[4@31!0$578]/g, ch => PROFANITY_LEET[ch]);
+
+  const lettersOnly = normalized.replace(/\P{L}/gu, '');
+  // Runs of three or more of a letter cut to two and to one, so stretched
+  // words ("fuuuck", "asssshole") match while real double letters stay
+  const collapsed = lettersOnly.replace(/(.)\1{2,}/gu, '$1$1');
+  const squeezed = lettersOnly.replace(/(.)\1{2,}/gu, '$1');
+  return { plain, original: normalized, lettersOnly, collapsed, squeezed };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ProfanityFilter {
+  constructor(dir, locales) {
+    this.dir = dir;
+    this.locales = locales;
+    this.lists = null;
+  }
+
+  // One list from its parsed file. Throws PROFANITY_INVALID listing every
+  // problem found.
+  static compile(locale, document) {
+    const errors = [];
+    const terms = [];
+
+    if (!document || !Array.isArray(document.terms)) errors.push('terms must be an array');
+    (document?.terms || []).forEach((entry, index) => {
+      const at = `terms[${index}]`;
+      const { term, severity, wholeWord = false } = entry || {};
+      const { original, lettersOnly } = normalizeForProfanity(typeof term === 'string' ? term : '');
+      if (!lettersOnly) {
+        errors.push(`${at}.term must contain letters`);
+        return;
+      }
+      if (!PROFANITY_SEVERITIES.includes(severity)) {
+        errors.push(`${at}.severity must be one of ${PROFANITY_SEVERITIES.join(', ')}`);
+        return;
+      }
+      if (typeof wholeWord !== 'boolean') {
+        errors.push(`${at}.wholeWord must be true or false`);
+        return;
+      }
+      const words = original.split(/\P{L}+/u).filter(Boolean).map(escapeRegExp);
+      terms.push({
+        term,
+        severity,
+        wholeWord,
+        letters: lettersOnly,
+        pattern: new RegExp(`(?<!\\p{L})${words.join('\\P{L}+')}(?!\\p{L})`, 'u'),
+        // Every letter set apart: "f u c k", "f.u.c.k"
+        spaced: new RegExp(`(?<!\\p{L})${[...lettersOnly].map(escapeRegExp).join('\\P{L}+')}(?!\\p{L})`, 'u')
+      });
+    });
+
+    const { allowlist = [] } = document || {};
+    const allowed = [];
+    if (!Array.isArray(allowlist)) {
+      errors.push('allowlist must be an array');
+    } else {
+      allowlist.forEach((word, index) => {
+        const { original } = normalizeForProfanity(typeof word === 'string' ? word : '');
+        const words = original.split(/\P{L}+/u).filter(Boolean);
+        if (words.length === 0) errors.push(`allowlist[${index}] must contain letters`);
+        else allowed.push(words.map(escapeRegExp).join('\\P{L}+'));
+      });
+    }
+
+    if (errors.length > 0) {
+      const err = new Error(`Invalid profanity list ${locale}: ${errors.join('; ')}`);
+      err.code = 'PROFANITY_INVALID';
+      err.details = errors;
+      throw err;
+    }
+
+    return {
+      locale,
+      terms,
+      allowlist: allowed.length > 0 ? new RegExp(`(?<!\\p{L})(?:${allowed.join('|')})\\p{L}*`, 'gu') : null
+    };
+  }
+
+  load() {
+    const fail = (message) => {
+      const err = new Error(message);
+      err.code = 'PROFANITY_INVALID';
+      err.details = [message];
+      throw err;
+    };
+
+    if (!PROFANITY_MODES.has(CONFIG.PROFANITY_MODE)) {
+      fail(`PROFANITY_MODE must be one of ${[...PROFANITY_MODES].join(', ')}`);
+    }
+    if (!PROFANITY_SEVERITIES.includes(CONFIG.PROFANITY_REJECT_SEVERITY)) {
+      fail(`PROFANITY_REJECT_SEVERITY must be one of ${PROFANITY_SEVERITIES.join(', ')}`);
+    }
+
+    let locales = this.locales;
+    if (!locales) {
+      try {
+        locales = fsSync.readdirSync(this.dir)
+          .filter(name => name.endsWith('.json'))
+          .map(name => name.slice(0, -'.json'.length))
+          .sort();
+      } catch (err) {
+        fail(`Profanity lists could not be read from ${this.dir}: ${err.message}`);
+      }
+    }
+
+    const lists = locales.map(locale => {
+      const file = path.join(this.dir, `${locale}.json`);
+      let document;
+      try {
+        document = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+      } catch (err) {
+        fail(`Profanity list could not be read from ${file}: ${err.message}`);
+      }
+      return ProfanityFilter.compile(locale, document);
+    });
+
+    this.lists = lists;
+    logger.info('Profanity lists loaded', {
+      dir: this.dir,
+      lists: lists.map(list => `${list.locale} (${list.terms.length})`),
+      mode: CONFIG.PROFANITY_MODE
+    });
+    return lists;
+  }
+
+  // The terms of every list found in the text, with the list's allowlisted
+  // words taken out first
+  _match(text) {
+    const lists = this.lists || this.load();
+    const { plain, original } = normalizeForProfanity(text);
+    const matches = [];
+
+    // Whole words are looked for with and without leet substitution, which
+    // would otherwise glue punctuation onto them ("kys!" -> "kysi")
+    for (const list of lists) {
+      const strip = value => (list.allowlist ? value.replace(list.allowlist, ' ') : value);
+      const spellings = [strip(plain), strip(original)];
+      const words = spellings[1].split(/\s+/).filter(Boolean).map(word => normalizeForProfanity(word));
+      for (const term of list.terms) {
+        const obfuscated = !term.wholeWord && (term.spaced.test(spellings[1]) || words.some(word =>
+          word.lettersOnly.includes(term.letters) || word.collapsed.includes(term.letters) || word.squeezed.includes(term.letters)));
+        if (obfuscated || spellings.some(spelling => term.pattern.test(spelling))) {
+          matches.push({ term: term.term, list: list.locale, severity: term.severity });
+        }
+      }
+    }
+    return matches;
+  }
+
+  // Masks every whitespace-separated token that contains a term, keeping its
+  // first character and any surrounding punctuation: "fucking!" -> "f******!"
+  _mask(text) {
+    return text.replace(/\S+/g, (token) => {
+      if (this._match(token).length === 0) return token;
+      const [, lead, core, trail] = token.match(/^([("'[]*)(.+?)([.,;:!?"')\]]*)$/);
+      return lead + core[0] + '*'.repeat(core.length - 1) + trail;
+    });
+  }
+
+  // { found, action, severity, matches, masked }. The action is 'reject' in
+  // reject mode, and in mask mode for matches at or above
+  // PROFANITY_REJECT_SEVERITY or ones masking a word at a time cannot hide
+  // (a phrase, or letters spread across words).
+  scan(text) {
+    const matches = text ? this._match(text) : [];
+    if (matches.length === 0) return { found: false, action: 'allow', severity: null, matches, masked: text };
+
+    const rank = Math.max(...matches.map(match => PROFANITY_SEVERITIES.indexOf(match.severity)));
+    const result = { found: true, action: 'reject', severity: PROFANITY_SEVERITIES[rank], matches, masked: null };
+
+    if (CONFIG.PROFANITY_MODE === 'mask' && rank < PROFANITY_SEVERITIES.indexOf(CONFIG.PROFANITY_REJECT_SEVERITY)) {
+      const masked = this._mask(text);
+      if (this._match(masked).length === 0) Object.assign(result, { action: 'mask', masked });
+    }
+    return result;
+  }
+
+  // The text as it may be stored and repeated: masked when the scan says so,
+  // otherwise unchanged (rejection is left to GarbageClassifier)
+  apply(text) {
+    const result = this.scan(text);
+    return result.action === 'mask' ? result.masked : text;
+  }
+}
+
+const profanityFilter = new ProfanityFilter(PROFANITY_DIR, PROFANITY_LOCALES);
+
+// Named garbage rules. Each measures one thing about a text and fires when
+// that score is above (or below) its threshold. A rule's disposition says
+// what firing means for a chat message: 'reject' it, or 'answer_no_learn',
+// answer it but never learn from it. The verdict's reason is the first
+// rejecting rule to fire, in this order, or else the first rule to fire.
+// GARBAGE_RULES_FILE may override any rule's enabled flag, threshold,
+// disposition or options:
+//
+//   { "rules": {
+//       "shouting": { "enabled": false },
+//       "too_long": { "threshold": 800, "disposition": "reject" },
+//       "gibberish": { "threshold": 0.1, "minLength": 8 }
+//   } }
+//
+// Rules the file leaves out keep the defaults below. A missing file means all
+// defaults; an invalid one stops startup.
+const GARBAGE_RULES_FILE = process.env.GARBAGE_RULES_FILE || path.join(__dirname, 'config', 'garbage-rules.json');
+
+const SPAM_PATTERNS = [
+  /click here/i,
+  /buy now/i,
+  /limited time/i,
+  /act now/i,
+  /free money/i,
+  /\b(viagra|cialis|casino)\b/i,
+  /\b(subscribe|follow me|check out my)\b/i,
+];
+
+// Borderline rather than spam: worth a reply, not worth learning
+const NOISE_PATTERNS = [
+  /(.)\1{5,}/, // Repeated characters
+  /\d{5,}/ // Long number sequences
+];
+
+const HARMFUL_PATTERNS = [
+  /\b(kill yourself|kys)\b/i
+];
+
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+\.\S+|\b[a-z0-9-]+\.(com|org|net|io|dev|app|co|ly|me)\b(\/\S*)?/gi;
+
+// Signs of source code; one alone ("one = 1", a trailing semicolon) is not
+// enough
+const CODE_PATTERNS = [
+  /```/,
+  /`[^`\n]+`/,
+  /[{};]\s*$/m,
+  /\b(function|def|class|return|const|let|var|import|public|static|void|SELECT|FROM)\b[^\n]*[({=:;]/,
+  /=>|===?|!==?|&&|\|\||::|\+\+|->/,
+  /<\/?[a-z][\w-]*(\s[^>]*)?>/i,
+  /\w+\([^)]*\)\s*[;{.]/
+];
+
+const GARBAGE_DISPOSITIONS = new Set(['reject', 'answer_no_learn']);
+
+// measure(text, options) returns the rule's score, or null when the rule does
+// not apply to the text
+const GARBAGE_RULES = [
+  {
+    name: 'too_short',
+    hint: 'That message was empty.',
+    disposition: 'reject',
+    fires: 'below',
+    threshold: 1,
+    measure: text => text.trim().length
+  },
+  {
+    name: 'too_long',
+    hint: 'Try a shorter message.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 500,
+    measure: text => text.trim().length
+  },
+  {
+    name: 'url',
+    hint: 'Links are not learned from.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 0,
+    measure: text => (text.match(URL_PATTERN) || []).length
+  },
+  {
+    name: 'code',
+    hint: 'Code is not learned from.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 1,
+    measure: text => CODE_PATTERNS.filter(pattern => pattern.test(text)).length
+  },
+  {
+    name: 'special_characters',
+    hint: 'That message was mostly symbols.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 0.3,
+    measure: text => (text.length ? (text.match(/[^a-zA-Z0-9\s.,!?'-]/g) || []).length / text.length : null)
+  },
+  {
+    name: 'spam',
+    hint: 'That message looked like spam.',
+    disposition: 'reject',
+    fires: 'above',
+    threshold: 0,
+    measure: text => SPAM_PATTERNS.filter(pattern => pattern.test(text)).length
+  },
+  {
+    name: 'noise',
+    hint: 'Stretched-out words and long numbers are not learned from.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 0,
+    measure: text => NOISE_PATTERNS.filter(pattern => pattern.test(text)).length
+  },
+  {
+    name: 'harmful',
+    hint: 'Please be kind.',
+    disposition: 'reject',
+    fires: 'above',
+    threshold: 0,
+    measure: text => HARMFUL_PATTERNS.filter(pattern => pattern.test(text)).length
+  },
+  {
+    // Matches the profanity filter would mask have been masked by TextCleaner
+    name: 'profanity',
+    hint: 'Please keep the language clean.',
+    disposition: 'reject',
+    fires: 'above',
+    threshold: 0,
+    measure: (text) => {
+      const profanity = profanityFilter.scan(text);
+      return profanity.action === 'reject' ? profanity.matches.length : 0;
+    }
+  },
+  {
+    name: 'shouting',
+    hint: 'No need to shout, try it without all caps.',
+    disposition: 'answer_no_learn',
+    fires: 'above',
+    threshold: 0.6,
+    measure: (text) => {
+      const words = text.split(/\s+/);
+      return words.filter(w => w === w.toUpperCase() && w.length > 1).length / words.length;
+    }
+  },
+  {
+    // Too few vowels, skipping short replies like "ok", "hi" or "hmm"
+    name: 'gibberish',
+    hint: "That didn't look like words.",
+    disposition: 'answer_no_learn',
+    fires: 'below',
+    threshold: 0.15,
+    options: { minLength: 5 },
+    measure: (text, { minLength }) => {
+      const lower = text.toLowerCase().trim();
+      if (lower.length < minLength) return null;
+      return (lower.match(/[aeiou]/g) || []).length / lower.length;
+    }
+  }
+];
+
+let garbageRules = null;
+
+class GarbageClassifier {
+  // The rules with the file's overrides applied. Throws GARBAGE_RULES_INVALID
+  // listing every problem found.
+  static loadRules() {
+    let document = {};
+    try {
+      document = JSON.parse(fsSync.readFileSync(GARBAGE_RULES_FILE, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        const wrapped = new Error(`Garbage rules could not be read from ${GARBAGE_RULES_FILE}: ${err.message}`);
+        wrapped.code = 'GARBAGE_RULES_INVALID';
+        wrapped.details = [err.message];
+        throw wrapped;
+      }
+    }
+
+    const errors = [];
+    const overrides = document?.rules ?? {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) errors.push('rules must be an object');
+
+    const known = new Set(GARBAGE_RULES.map(rule => rule.name));
+    for (const name of Object.keys(overrides || {})) {
+      if (!known.has(name)) errors.push(`rules.${name} is not a known rule`);
+    }
+
+    const rules = GARBAGE_RULES.map((rule) => {
+      const override = overrides?.[rule.name] ?? {};
+      const at = `rules.${rule.name}`;
+      if (typeof override !== 'object' || Array.isArray(override)) {
+        errors.push(`${at} must be an object`);
+        return null;
+      }
+
+      const { enabled = true, threshold = rule.threshold, disposition = rule.disposition, ...options } = override;
+      if (typeof enabled !== 'boolean') errors.push(`${at}.enabled must be true or false`);
+      if (!Number.isFinite(threshold)) errors.push(`${at}.threshold must be a number`);
+      if (!GARBAGE_DISPOSITIONS.has(disposition)) {
+        errors.push(`${at}.disposition must be one of ${[...GARBAGE_DISPOSITIONS].join(', ')}`);
+      }
+      for (const [key, value] of Object.entries(options)) {
+        if (!(key in (rule.options || {}))) errors.push(`${at}.${key} is not an option of this rule`);
+        else if (!Number.isFinite(value)) errors.push(`${at}.${key} must be a number`);
+      }
+
+      return { ...rule, enabled, threshold, disposition, options: { ...rule.options, ...options } };
+    });
+
+    if (errors.length > 0) {
+      const err = new Error(`Invalid garbage rules: ${errors.join('; ')}`);
+      err.code = 'GARBAGE_RULES_INVALID';
+      err.details = errors;
+      throw err;
+    }
+
+    garbageRules = rules;
+    return rules;
+  }
+
+  static get rules() {
+    return garbageRules || this.loadRules();
+  }
+
+  // { garbage, learnable, reason, hint, fired, rules }: every rule with its
+  // score and threshold and the names of the ones that fired. garbage means a
+  // rejecting rule fired, learnable that none did.
+  static evaluate(text) {
+    const results = this.rules.map((rule) => {
+      const score = rule.enabled ? rule.measure(text, rule.options) : null;
+      const fired = score !== null &&
+        (rule.fires === 'above' ? score > rule.threshold : score < rule.threshold);
+      return {
+        name: rule.name,
+        enabled: rule.enabled,
+        score: typeof score === 'number' ? Math.round(score * 1000) / 1000 : null,
+        threshold: rule.threshold,
+        fires: rule.fires,
+        disposition: rule.disposition,
+        fired
+      };
+    });
+
+    const fired = results.filter(result => result.fired);
+    const rejecting = fired.find(result => result.disposition === 'reject');
+    const reason = (rejecting || fired[0])?.name || null;
+    return {
+      garbage: Boolean(rejecting),
+      learnable: fired.length === 0,
+      reason,
+      hint: reason ? this.rules.find(rule => rule.name === reason).hint : null,
+      fired: fired.map(result => result.name),
+      rules: results
+    };
+  }
+
+  static isGarbage(text) {
+    return this.check(text) !== null;
+  }
+
+  // The reason a text is garbage, or null when it is acceptable
+  static check(text) {
+    return this.evaluate(text).reason;
+  }
+
+  static calculateQuality(input, response) {
+    let score = 50; // Base score - accept natural conversation
+
+    const inputWords = input.split(/\s+/).length;
+    const responseWords = response.split(/\s+/).length;
+
+    // Accept all reasonable lengths - humans talk in varied ways
+    if (inputWords >= 1 && inputWords <= 50) score += 15;
+    if (responseWords >= 1 && responseWords <= 100) score += 15;
+
+    // Bonus for multi-word responses (but don't penalize short ones)
+    if (responseWords >= 3 && responseWords <= 20) score += 10;
+
+    // Bonus for punctuation
+    if (response.match(/[.!?]$/)) score += 5;
+
+    // Small bonus for variety (not just repeating same word)
+    if (input.toLowerCase() !== response.toLowerCase()) score += 5;
+
+    return Math.max(0, Math.min(100, score));
+  }
+}
+
+// What the chat does with a message: 'answer' it and learn from it,
+// 'answer_no_learn' (links, code, borderline text, or a caller that may not
+// teach the bot) or 'reject' it with the canned reply. Learning needs both
+// turns of a pair to be answerable and learnable.
+class DispositionEngine {
+  static decide(text, { learn = true } = {}) {
+    if (!text) return { disposition: 'reject', reason: 'empty', hint: null, rules: ['empty'] };
+
+    const verdict = GarbageClassifier.evaluate(text);
+    if (verdict.garbage) {
+      const rejecting = verdict.rules.filter(rule => rule.fired && rule.disposition === 'reject');
+      return { disposition: 'reject', reason: verdict.reason, hint: verdict.hint, rules: rejecting.map(rule => rule.name) };
+    }
+    if (!verdict.learnable) {
+      return { disposition: 'answer_no_learn', reason: verdict.reason, hint: null, rules: verdict.fired };
+    }
+    if (!learn) return { disposition: 'answer_no_learn', reason: 'learn_scope', hint: null, rules: [] };
+    return { disposition: 'answer', reason: null, hint: null, rules: [] };
+  }
+
+  static isLearnable(text) {
+    return this.decide(text).disposition === 'answer';
+  }
+}
+
+// ============================================================================
+// INTELLIGENT LEARNING SYSTEM
+// ============================================================================
+
+// Inverted index over every learned input, scored with Okapi BM25 so that rare
+// words carry more weight than common ones. Documents are keyed by the
+// normalized input and point at the live memory entry that answers them.
+class KnowledgeIndex {
+  constructor(k1 = CONFIG.BM25_K1, b = CONFIG.BM25_B) {
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> Map(input -> term frequency)
+    this.documents = new Map(); // input -> { length, terms, entry }
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  upsert(input, entry) {
+    const existing = this.documents.get(input);
+    if (existing) {
+      // Same text means same terms; only the answering entry changes
+      existing.entry = entry;
+      return;
+    }
+
+    const terms = IntelligentLearner.tokenize(input);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(input, tf);
+    }
+
+    this.documents.set(input, {
+      length: terms.length,
+      terms: Array.from(frequencies.keys()),
+      entry
+    });
+    this.totalLength += terms.length;
+  }
+
+  remove(input) {
+    const doc = this.documents.get(input);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(input);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+
+    this.documents.delete(input);
+    this.totalLength -= doc.length;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+  }
+
+  rebuild(memory) {
+    this.clear();
+
+    for (const cluster of Object.values(memory.semanticClusters)) {
+      for (const entry of cluster) {
+        if (!this.documents.has(entry.input)) this.upsert(entry.input, entry);
+      }
+    }
+
+    // Context pairs win over cluster copies of the same input
+    for (const pair of memory.contextPairs) {
+      this.upsert(pair.input, pair);
+    }
+  }
+
+  idf(term) {
+    const docFreq = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.documents.size - docFreq + 0.5) / (docFreq + 0.5));
+  }
+
+  // queryTerms maps term -> query weight. Relevance is the BM25 score divided
+  // by what a one-occurrence match of every query term would score against an
+  // average-length document, so it reads as the idf-weighted share of the
+  // query that matched (clamped to 1). contextTerms score the same way but are
+  // left out of that maximum, so conversation context can only add relevance.
+  search(queryTerms, { contextTerms = new Map(), limit = 20 } = {}) {
+    if (this.documents.size === 0) return [];
+
+    const avgLength = this.totalLength / this.documents.size;
+    const scores = new Map();
+    let maxScore = 0;
+
+    const accumulate = (term, weight) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const idf = this.idf(term);
+      for (const [input, tf] of posting) {
+        const doc = this.documents.get(input);
+        const lengthNorm = 1 - this.b + this.b * (doc.length / avgLength);
+        const termScore = (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+        scores.set(input, (scores.get(input) || 0) + weight * idf * termScore);
+      }
+    };
+
+    for (const [term, weight] of queryTerms) {
+      maxScore += weight * this.idf(term);
+      accumulate(term, weight);
+    }
+
+    for (const [term, weight] of contextTerms) {
+      if (!queryTerms.has(term)) accumulate(term, weight);
+    }
+
+    if (maxScore === 0) return [];
+
+    return Array.from(scores.entries())
+      .map(([input, score]) => ({
+        entry: this.documents.get(input).entry,
+        score,
+        relevance: Math.min(1, score / maxScore)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+const knowledgeIndex = new KnowledgeIndex();
+
+class IntelligentLearner {
+  static tokenize(text) {
+    return TextNormalizer.terms(text);
+  }
+
+  static extractKeywords(text) {
+    return [...new Set(this.tokenize(text))];
+  }
+
+  // One-time migration: rebuild cluster buckets under the current keyword
+  // pipeline. Copies of an input that land in the same bucket are merged,
+  // keeping the stronger entry when their responses disagree.
+  static rekeyClusters(memory) {
+    const rekeyed = {};
+
+    for (const cluster of Object.values(memory.semanticClusters)) {
+      for (const entry of cluster) {
+        for (const keyword of this.extractKeywords(entry.input)) {
+          if (!rekeyed[keyword]) rekeyed[keyword] = new Map();
+
+          const bucket = rekeyed[keyword];
+          const existing = bucket.get(entry.input);
+          if (!existing) {
+            bucket.set(entry.input, { ...entry });
+          } else if (existing.response === entry.response) {
+            existing.confidence = Math.max(existing.confidence || 1, entry.confidence || 1);
+            existing.quality = Math.max(existing.quality, entry.quality);
+          } else if (entry.quality * (entry.confidence || 1) > existing.quality * (existing.confidence || 1)) {
+            bucket.set(entry.input, { ...entry });
+          }
+        }
+      }
+    }
+
+    memory.semanticClusters = {};
+    for (const [keyword, bucket] of Object.entries(rekeyed)) {
+      memory.semanticClusters[keyword] = Array.from(bucket.values())
+        .sort((a, b) => this.compareEntries(a, b))
+        .slice(0, 20);
+    }
+
+    memory.keywordPipeline = TextNormalizer.pipelineVersion;
+  }
+
+  // Point the index at whichever entry currently answers this input, or drop
+  // it once neither contextPairs nor any cluster holds it anymore.
+  static reindexInput(input) {
+    const pair = globalMemory.contextPairs.find(p => p.input === input);
+    if (pair) {
+      knowledgeIndex.upsert(input, pair);
+      return;
+    }
+
+    for (const keyword of this.extractKeywords(input)) {
+      const entry = globalMemory.semanticClusters[keyword]?.find(item => item.input === input);
+      if (entry) {
+        knowledgeIndex.upsert(input, entry);
+        return;
+      }
+    }
+
+    knowledgeIndex.remove(input);
+  }
+
+  static newEntryId() {
+    return crypto.randomBytes(6).toString('hex');
+  }
+
+  // Give older entries an id so they can be addressed individually
+  static assignEntryIds(memory) {
+    let assigned = 0;
+    const assign = (entry) => {
+      if (!entry.id) {
+        entry.id = this.newEntryId();
+        assigned++;
+      }
+    };
+
+    memory.contextPairs.forEach(assign);
+    Object.values(memory.semanticClusters).forEach(cluster => cluster.forEach(assign));
+    return assigned;
+  }
+
+  // Ranking used whenever entries are trimmed: pinned entries first, then by
+  // quality weighted by confidence
+  static compareEntries(a, b) {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+    return b.quality * (b.confidence || 1) - a.quality * (a.confidence || 1);
+  }
+
+  // Learned entries take their id from their content and learning time, so
+  // replaying the journal recreates exactly the same ids
+  static learnedEntryId(input, response, timestamp) {
+    return crypto.createHash('sha1')
+      .update(`${input}\0${response}\0${timestamp}`)
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  static _createEntry(input, response, quality, context = [], now = Date.now()) {
+    const entry = {
+      id: this.learnedEntryId(input, response, now),
+      input,
+      response,
+      quality,
+      confidence: 1,
+      timestamp: now
+    };
+    if (context.length > 0) {
+      entry.context = context.slice(0, CONFIG.MAX_CONTEXT_KEYWORDS);
+    }
+    return entry;
+  }
+
+  // Remember the keywords of the turn that preceded an input, so a later
+  // conversation on the same topic ranks this entry higher
+  static _mergeContext(entry, context = []) {
+    if (context.length === 0) return;
+    const merged = new Set([...context, ...(entry.context || [])]);
+    entry.context = Array.from(merged).slice(0, CONFIG.MAX_CONTEXT_KEYWORDS);
+  }
+
+  // Weighted keywords from the most recent turns of a conversation buffer,
+  // decaying with distance from the current message
+  static contextTerms(history = []) {
+    const terms = new Map();
+    const recent = history.slice(-CONFIG.CONTEXT_TURNS).reverse();
+
+    recent.forEach((turn, distance) => {
+      const weight = Math.pow(CONFIG.CONTEXT_TURN_WEIGHT, distance + 1);
+      const keywords = this.extractKeywords(`${turn.user || ''} ${turn.ai || ''}`);
+      for (const keyword of keywords) {
+        if (!terms.has(keyword)) terms.set(keyword, weight);
+      }
+    });
+
+    return terms;
+  }
+
+  // Keywords describing a single turn, as stored on learned entries
+  static turnKeywords(turn) {
+    if (!turn) return [];
+    return this.extractKeywords(`${turn.user || ''} ${turn.ai || ''}`)
+      .slice(0, CONFIG.MAX_CONTEXT_KEYWORDS);
+  }
+
+  // Options: context keywords of the preceding turn, a stats counter to bump,
+  // and for journal replay the original learning time
+  static learnPattern(input, response, quality, { context = [], counter, now = Date.now(), replaying = false } = {}) {
+    if (!replaying) {
+      learningJournal.append({ type: 'learn', at: now, input, response, quality, context, counter });
+    }
+
+    const keywords = this.extractKeywords(input);
+    const inputLower = input.toLowerCase();
+    const evicted = new Set();
+
+    // Once served, a pair no longer waits for confirmation
+    LearningQuarantine.discard(inputLower, response);
+
+    // Create semantic clusters with relearning support
+    keywords.forEach(keyword => {
+      if (!globalMemory.semanticClusters[keyword]) {
+        globalMemory.semanticClusters[keyword] = [];
+      }
+
+      // Check if this exact input already exists
+      const existingIndex = globalMemory.semanticClusters[keyword].findIndex(
+        item => item.input === inputLower
+      );
+
+      if (existingIndex !== -1) {
+        const existing = globalMemory.semanticClusters[keyword][existingIndex];
+
+        // If same response, reinforce it (increase confidence)
+        if (existing.response === response) {
+          existing.confidence = (existing.confidence || 1) + 1;
+          existing.quality = Math.min(100, existing.quality + 2); // Small quality boost
+          existing.timestamp = now;
+          this._mergeContext(existing, context);
+        } else {
+          // Different response - only replace if new quality is significantly better
+          // OR if pattern is old (allow relearning over time)
+          const ageInDays = (now - existing.timestamp) / (1000 * 60 * 60 * 24);
+
+          if (!existing.pinned && (quality > existing.quality + 10 || ageInDays > 30)) {
+            // Replace with new pattern
+            globalMemory.semanticClusters[keyword][existingIndex] = this._createEntry(inputLower, response, quality, context, now);
+          }
+          // Otherwise keep existing (it's more confident)
+        }
+      } else {
+        // New pattern
+        globalMemory.semanticClusters[keyword].push(this._createEntry(inputLower, response, quality, context, now));
+      }
+
+      // Keep only top 20 highest quality responses per keyword
+      globalMemory.semanticClusters[keyword].sort((a, b) => this.compareEntries(a, b));
+      if (globalMemory.semanticClusters[keyword].length > 20) {
+        globalMemory.semanticClusters[keyword].slice(20).forEach(item => evicted.add(item.input));
+        globalMemory.semanticClusters[keyword] = globalMemory.semanticClusters[keyword].slice(0, 20);
+      }
+    });
+
+    // Store high-quality pairs separately with relearning
+    if (quality >= 60) {
+      const existingPairIndex = globalMemory.contextPairs.findIndex(
+        pair => pair.input === inputLower
+      );
+
+      if (existingPairIndex !== -1) {
+        const existing = globalMemory.contextPairs[existingPairIndex];
+
+        if (existing.response === response) {
+          // Reinforce
+          existing.confidence = (existing.confidence || 1) + 1;
+          existing.quality = Math.min(100, existing.quality + 2);
+          existing.timestamp = now;
+          this._mergeContext(existing, context);
+        } else {
+          const ageInDays = (now - existing.timestamp) / (1000 * 60 * 60 * 24);
+          if (!existing.pinned && (quality > existing.quality + 10 || ageInDays > 30)) {
+            globalMemory.contextPairs[existingPairIndex] = this._createEntry(inputLower, response, quality, context, now);
+          }
+        }
+      } else {
+        // New high-quality pair
+        globalMemory.contextPairs.push(this._createEntry(inputLower, response, quality, context, now));
+      }
+
+      // Limit to top 1000 pairs
+      if (globalMemory.contextPairs.length > 1000) {
+        globalMemory.contextPairs.sort((a, b) => this.compareEntries(a, b));
+        globalMemory.contextPairs.slice(1000).forEach(pair => evicted.add(pair.input));
+        globalMemory.contextPairs = globalMemory.contextPairs.slice(0, 1000);
+      }
+    }
+
+    // Update quality scores
+    globalMemory.qualityScores[inputLower] = quality;
+    if (counter) globalMemory.stats[counter] = (globalMemory.stats[counter] || 0) + 1;
+    statsBroadcaster.notify();
+
+    // Keep the retrieval index and the Postgres tables in step with what
+    // was kept or dropped
+    this.reindexInput(inputLower);
+    evicted.forEach(evictedInput => this.reindexInput(evictedInput));
+    pgStore?.markInputs([inputLower, ...evicted]);
+  }
+
+  static findBestResponse(input, options = {}) {
+    const match = this.findBestMatch(input, options);
+    return match ? match.response : null;
+  }
+
+  // Like findBestResponse, but also reports which learned input produced the
+  // reply so feedback can be traced back to it
+  static findBestMatch(input, { strategy = CONFIG.RETRIEVAL_STRATEGY, history = [] } = {}) {
+    const contextTerms = strategy === 'keyword' ? new Map() : this.contextTerms(history);
+
+    // Optional caching layer (improvement over original)
+    const cacheKey = `${strategy}:${Array.from(contextTerms.keys()).sort().join(',')}:${input}`;
+    const cached = responseCache.get(cacheKey);
+    if (cached) {
+      metrics.recordCacheHit();
+      return cached;
+    }
+    metrics.recordCacheMiss();
+
+    const keywords = this.extractKeywords(input);
+    const inputLower = input.toLowerCase();
+    
+    // 1. Try exact match first
+    const exactMatch = globalMemory.contextPairs.find(pair => 
+      pair.input === inputLower
+    );
+    if (exactMatch) {
+      const match = { input: exactMatch.input, response: exactMatch.response, source: 'exact' };
+      // Cache the result before returning
+      responseCache.set(cacheKey, match);
+      return match;
+    }
+    
+    // 2. Rank candidates with the selected strategy
+    const best = strategy === 'keyword'
+      ? this._rankByKeywordOverlap(keywords)
+      : this._rankByBM25(keywords, contextTerms, this.turnKeywords(history[history.length - 1]));
+
+    // Return if high enough confidence
+    if (best && best.relevanceScore > CONFIG.MIN_RELEVANCE_SCORE) {
+      const match = { input: best.input, response: best.response, source: strategy };
+      // Cache the result before returning
+      responseCache.set(cacheKey, match);
+      return match;
+    }
+    
+    return null;
+  }
+
+  // Apply a user's rating to every stored copy of an input/response pair.
+  // Upvotes reinforce it; downvotes demote it and retire it entirely once
+  // its quality falls too low.
+  static applyFeedback(input, response, rating) {
+    const result = { matched: 0, retired: 0 };
+
+    const adjust = (entry) => {
+      result.matched++;
+      if (rating === 'up') {
+        entry.quality = Math.min(100, entry.quality + CONFIG.FEEDBACK_UP_QUALITY);
+        entry.confidence = (entry.confidence || 1) + 1;
+      } else {
+        entry.quality = Math.max(0, entry.quality - CONFIG.FEEDBACK_DOWN_QUALITY);
+        entry.confidence = Math.max(1, (entry.confidence || 1) - 1);
+      }
+      result.quality = entry.quality;
+      result.confidence = entry.confidence;
+
+      // Curators' pinned entries are demoted but never retired by votes
+      const retire = !entry.pinned && entry.quality < CONFIG.FEEDBACK_RETIRE_QUALITY;
+      if (retire) result.retired++;
+      return retire;
+    };
+
+    const isTarget = entry => entry.input === input && entry.response === response;
+
+    globalMemory.contextPairs = globalMemory.contextPairs.filter(pair => !(isTarget(pair) && adjust(pair)));
+
+    for (const keyword of this.extractKeywords(input)) {
+      const cluster = globalMemory.semanticClusters[keyword];
+      if (!cluster) continue;
+
+      const kept = cluster.filter(entry => !(isTarget(entry) && adjust(entry)));
+      kept.sort((a, b) => this.compareEntries(a, b));
+
+      if (kept.length > 0) {
+        globalMemory.semanticClusters[keyword] = kept;
+      } else {
+        delete globalMemory.semanticClusters[keyword];
+      }
+    }
+
+    if (result.matched > 0) {
+      this.reindexInput(input);
+      pgStore?.markInputs([input]);
+      responseCache.clear();
+    }
+
+    return result;
+  }
+
+  // Original ranking: every entry in each matching keyword cluster, scored by
+  // the share of query keywords it overlaps times its quality.
+  static _rankByKeywordOverlap(keywords) {
+    let candidates = [];
+
+    keywords.forEach(keyword => {
+      if (globalMemory.semanticClusters[keyword]) {
+        candidates = candidates.concat(globalMemory.semanticClusters[keyword]);
+      }
+    });
+
+    if (candidates.length === 0) return null;
+
+    const scored = candidates.map(candidate => {
+      const candidateKeywords = this.extractKeywords(candidate.input);
+      const overlap = keywords.filter(k => candidateKeywords.includes(k)).length;
+      const relevanceScore = overlap / Math.max(keywords.length, 1);
+      
+      return {
+        ...candidate,
+        relevanceScore: relevanceScore * candidate.quality
+      };
+    });
+    
+    scored.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    return scored[0];
+  }
+
+  static _rankByBM25(keywords, contextTerms = new Map(), previousTurnKeywords = []) {
+    const queryTerms = new Map(keywords.map(keyword => [keyword, 1]));
+    const results = knowledgeIndex.search(queryTerms, { contextTerms });
+    if (results.length === 0) return null;
+
+    // Entries learned right after the same topic as the previous turn get a
+    // boost proportional to how much of that recorded context matches
+    const previousTurn = new Set(previousTurnKeywords);
+
+    const scored = results.map(({ entry, relevance }) => {
+      let contextBoost = 1;
+      if (previousTurn.size > 0 && entry.context?.length) {
+        const overlap = entry.context.filter(term => previousTurn.has(term)).length;
+        contextBoost += CONFIG.CONTEXT_MATCH_BOOST * (overlap / entry.context.length);
+      }
+
+      return {
+        ...entry,
+        relevanceScore: relevance * entry.quality * contextBoost
+      };
+    });
+
+    scored.sort((a, b) =>
+      (b.relevanceScore - a.relevanceScore) || ((b.confidence || 1) - (a.confidence || 1))
+    );
+    return scored[0];
+  }
+}
+
+// ============================================================================
+// LEARNING QUARANTINE
+// ============================================================================
+
+// Pairs taught by live chat are held in globalMemory.pendingPatterns and not
+// served until PENDING_MIN_CALLERS distinct callers have taught the same
+// pair, or a moderator approves it. A caller is the API key, or the client
+// address for anonymous chat (see callerIdentity), never the sessionId in the
+// request body, which a client can change at will. Unconfirmed pairs expire
+// PENDING_TTL_MS after they were first taught. Imports and curator edits are
+// trusted and learned directly.
+//
+// Submissions and moderator rejections are journaled and replayed like
+// learned patterns; a promotion is journaled as the learn it leads to, and
+// learnPattern drops any pending copy of what it learns.
+class LearningQuarantine {
+  static get pending() {
+    if (!Array.isArray(globalMemory.pendingPatterns)) globalMemory.pendingPatterns = [];
+    return globalMemory.pendingPatterns;
+  }
+
+  static find(id) {
+    return this.pending.find(item => item.id === id) || null;
+  }
+
+  // Whether the pair is already served
+  static isActive(input, response) {
+    if (globalMemory.contextPairs.some(pair => pair.input === input && pair.response === response)) return true;
+    return IntelligentLearner.extractKeywords(input).some(keyword =>
+      (globalMemory.semanticClusters[keyword] || []).some(entry => entry.input === input && entry.response === response));
+  }
+
+  // Hold a pair taught by a caller, or learn it when it is already served or
+  // this caller confirms it. Returns { status: 'learned' } or
+  // { status: 'pending', callers, required }.
+  static submit(input, response, quality, { context = [], caller, now = Date.now(), replaying = false } = {}) {
+    const inputLower = input.toLowerCase();
+    const required = CONFIG.PENDING_MIN_CALLERS;
+
+    if (this.isActive(inputLower, response) || required <= 1) {
+      if (replaying) return { status: 'learned' }; // The learn was journaled too
+      IntelligentLearner.learnPattern(input, response, quality, { context, counter: 'liveConversationsLearned', now });
+      return { status: 'learned' };
+    }
+
+    if (!replaying) {
+      learningJournal.append({ type: 'pending', at: now, input, response, quality, context, caller });
+    }
+
+    let item = this.pending.find(candidate => candidate.input === inputLower && candidate.response === response);
+    if (!item) {
+      item = {
+        id: IntelligentLearner.learnedEntryId(inputLower, response, now),
+        input: inputLower,
+        response,
+        quality,
+        callers: [],
+        firstSeen: now,
+        lastSeen: now
+      };
+      this.pending.push(item);
+      this._trim();
+    }
+
+    if (!item.callers.includes(caller)) item.callers.push(caller);
+    item.quality = Math.max(item.quality, quality);
+    item.lastSeen = Math.max(item.lastSeen, now);
+    IntelligentLearner._mergeContext(item, context);
+    statsBroadcaster.notify();
+
+    // On replay the promotion follows as its own learn event
+    if (!replaying && item.callers.length >= required) {
+      this.promote(item, { now });
+      return { status: 'learned' };
+    }
+    return { status: 'pending', callers: item.callers.length, required };
+  }
+
+  // Serve a pending pair. learnPattern takes it off the pending list.
+  static promote(item, { now = Date.now() } = {}) {
+    IntelligentLearner.learnPattern(item.input, item.response, item.quality, {
+      context: item.context,
+      counter: 'liveConversationsLearned',
+      now
+    });
+  }
+
+  // Drop the pending copy of a pair; true when there was one
+  static discard(input, response) {
+    const index = this.pending.findIndex(item => item.input === input && item.response === response);
+    if (index === -1) return false;
+    this.pending.splice(index, 1);
+    statsBroadcaster.notify();
+    return true;
+  }
+
+  // A moderator turned the pair down
+  static reject(item, { now = Date.now(), replaying = false } = {}) {
+    if (!replaying) {
+      learningJournal.append({ type: 'pending_drop', at: now, input: item.input, response: item.response });
+    }
+    return this.discard(item.input, item.response);
+  }
+
+  // Keep the list bounded by dropping the pairs taught longest ago
+  static _trim() {
+    const excess = this.pending.length - CONFIG.MAX_PENDING_PATTERNS;
+    if (excess <= 0) return;
+    this.pending.sort((a, b) => a.lastSeen - b.lastSeen).splice(0, excess);
+  }
+
+  // Expire stale pairs and promote ones confirmed by callers on other
+  // instances, whose submissions arrive merged rather than through submit()
+  static sweep(now = Date.now()) {
+    const cutoff = now - CONFIG.PENDING_TTL_MS;
+    const expired = this.pending.filter(item => item.firstSeen < cutoff);
+    if (expired.length > 0) {
+      globalMemory.pendingPatterns = this.pending.filter(item => item.firstSeen >= cutoff);
+      statsBroadcaster.notify();
+    }
+
+    const confirmed = this.pending.filter(item => item.callers.length >= CONFIG.PENDING_MIN_CALLERS);
+    confirmed.forEach(item => this.promote(item, { now }));
+
+    if (expired.length > 0 || confirmed.length > 0) {
+      responseCache.clear();
+      queueSave();
+      logger.info('Pending patterns swept', { expired: expired.length, promoted: confirmed.length, pending: this.pending.length });
+    }
+    return { expired: expired.length, promoted: confirmed.length };
+  }
+
+  static expiresAt(item) {
+    return new Date(item.firstSeen + CONFIG.PENDING_TTL_MS).toISOString();
+  }
+}
+
+// ============================================================================
+// INTENT RULES
+// ============================================================================
+
+// Replies for messages nothing learned answers, read from INTENTS_FILE:
+//
+//   { "rules": [{
+//       "name": "greeting",
+//       "priority": 40,                 higher priorities are tried first
+//       "patterns": ["^(hi|hey)\\b"],   regexes, case-insensitive; any one may
+//                                       match. Omit to match every message.
+//       "conditions": {                 optional; all must hold
+//         "firstMessage": true,         the session's first message (false:
+//                                       any later one)
+//         "hours": [5, 12]              server-local hour in [from, to),
+//                                       wrapping past midnight when from > to
+//       },
+//       "responses": ["hey", { "text": "hello there", "weight": 3 }]
+//   }] }
+//
+// The file is validated whenever it is read and reloaded when it changes. An
+// invalid edit is logged and the previous rules stay in effect. One rule must
+// have neither patterns nor conditions, so every message gets a reply.
+const INTENTS_FILE = process.env.INTENTS_FILE || path.join(__dirname, 'config', 'intents.json');
+const INTENT_CONDITIONS = new Set(['firstMessage', 'hours']);
+
+class IntentRules {
+  constructor(file) {
+    this.file = file;
+    this.rules = null;
+    this.loadedAt = null;
+    this.lastError = null;
+  }
+
+  // The rules in the order they are tried. Throws INTENTS_INVALID listing
+  // every problem found.
+  static compile(document) {
+    const errors = [];
+    const rules = [];
+    const names = new Set();
+
+    if (!document || !Array.isArray(document.rules)) {
+      errors.push('rules must be an array');
+    }
+
+    (document?.rules || []).forEach((rule, index) => {
+      const at = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+
+      const { name, priority = 0, patterns = [], conditions = {}, responses } = rule;
+      if (typeof name !== 'string' || !name.trim()) {
+        errors.push(`${at}.name must be a non-empty string`);
+      } else if (names.has(name)) {
+        errors.push(`${at}.name "${name}" is used by an earlier rule`);
+      } else {
+        names.add(name);
+      }
+
+      if (!Number.isFinite(priority)) errors.push(`${at}.priority must be a number`);
+
+      const compiled = [];
+      if (!Array.isArray(patterns)) {
+        errors.push(`${at}.patterns must be an array`);
+      } else {
+        patterns.forEach((pattern, i) => {
+          if (typeof pattern !== 'string' || !pattern) {
+            errors.push(`${at}.patterns[${i}] must be a non-empty string`);
+            return;
+          }
+          try {
+            compiled.push(new RegExp(pattern, 'i'));
+          } catch (err) {
+            errors.push(`${at}.patterns[${i}]: ${err.message}`);
+          }
+        });
+      }
+
+      if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push(`${at}.conditions must be an object`);
+      } else {
+        for (const key of Object.keys(conditions)) {
+          if (!INTENT_CONDITIONS.has(key)) errors.push(`${at}.conditions.${key} is not a known condition`);
+        }
+        if (conditions.firstMessage !== undefined && typeof conditions.firstMessage !== 'boolean') {
+          errors.push(`${at}.conditions.firstMessage must be true or false`);
+        }
+        const { hours } = conditions;
+        if (hours !== undefined && !(Array.isArray(hours) && hours.length === 2 &&
+            hours.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 24) && hours[0] !== hours[1])) {
+          errors.push(`${at}.conditions.hours must be [from, to], two different whole hours from 0 to 24`);
+        }
+      }
+
+      const variants = [];
+      if (!Array.isArray(responses) || responses.length === 0) {
+        errors.push(`${at}.responses must be a non-empty array`);
+      } else {
+        responses.forEach((variant, i) => {
+          const { text, weight = 1 } = typeof variant === 'string' ? { text: variant } : (variant || {});
+          if (typeof text !== 'string' || !text.trim()) {
+            errors.push(`${at}.responses[${i}] needs a non-empty text`);
+          } else if (!Number.isFinite(weight) || weight <= 0) {
+            errors.push(`${at}.responses[${i}].weight must be a positive number`);
+          } else {
+            variants.push({ text, weight });
+          }
+        });
+      }
+
+      rules.push({ name, priority, index, patterns: compiled, conditions: conditions || {}, responses: variants });
+    });
+
+    if (errors.length === 0 && !rules.some(rule => rule.patterns.length === 0 && Object.keys(rule.conditions).length === 0)) {
+      errors.push('one rule must have neither patterns nor conditions, to answer any message');
+    }
+
+    if (errors.length > 0) {
+      const err = new Error(`Invalid intent rules: ${errors.join('; ')}`);
+      err.code = 'INTENTS_INVALID';
+      err.details = errors;
+      throw err;
+    }
+
+    return rules.sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+  }
+
+  static conditionsHold(conditions, { firstMessage, hour }) {
+    if (conditions.firstMessage !== undefined && conditions.firstMessage !== firstMessage) return false;
+    if (conditions.hours) {
+      const [from, to] = conditions.hours;
+      const inside = from < to ? hour >= from && hour < to : hour >= from || hour < to;
+      if (!inside) return false;
+    }
+    return true;
+  }
+
+  // Read and validate the file; throws and keeps the current rules if it is
+  // unreadable or invalid
+  load() {
+    let document;
+    try {
+      document = JSON.parse(fsSync.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      const wrapped = new Error(`Intent rules could not be read from ${this.file}: ${err.message}`);
+      wrapped.code = 'INTENTS_INVALID';
+      wrapped.details = [err.message];
+      throw wrapped;
+    }
+
+    this.rules = IntentRules.compile(document);
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    logger.info('Intent rules loaded', { file: this.file, rules: this.rules.length });
+    return this.rules;
+  }
+
+  reload() {
+    try {
+      this.load();
+    } catch (err) {
+      this.lastError = { message: err.message, details: err.details, at: new Date().toISOString() };
+      logger.warn('Intent rules not reloaded, keeping the previous ones', { file: this.file, errors: err.details });
+    }
+  }
+
+  // Polls rather than using fs.watch, which loses track of files that
+  // editors replace on save
+  watch() {
+    fsSync.watchFile(this.file, { interval: CONFIG.INTENTS_POLL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    });
+  }
+
+  // Every rule the message satisfies, in the order they are tried
+  matches(message, { firstMessage = false, hour = new Date().getHours() } = {}) {
+    if (!this.rules) this.load();
+    return this.rules.filter(rule =>
+      (rule.patterns.length === 0 || rule.patterns.some(pattern => pattern.test(message))) &&
+      IntentRules.conditionsHold(rule.conditions, { firstMessage, hour }));
+  }
+
+  static pickResponse(rule, random = Math.random()) {
+    const total = rule.responses.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = random * total;
+    for (const variant of rule.responses) {
+      point -= variant.weight;
+      if (point < 0) return variant.text;
+    }
+    return rule.responses[rule.responses.length - 1].text;
+  }
+
+  // { rule, response } for the first matching rule
+  respond(message, context) {
+    const [rule] = this.matches(message, context);
+    metrics.recordIntent(rule.name);
+    return { rule, response: IntentRules.pickResponse(rule) };
+  }
+
+  describe() {
+    return {
+      file: this.file,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      rules: (this.rules || []).map(rule => ({
+        name: rule.name,
+        priority: rule.priority,
+        patterns: rule.patterns.map(pattern => pattern.source),
+        conditions: rule.conditions,
+        responses: rule.responses
+      }))
+    };
+  }
+}
+
+const intentRules = new IntentRules(INTENTS_FILE);
+
+// ============================================================================
+// QUALITY SCORING
+// ============================================================================
+
+// Every scorer implements:
+//
+//   name                      label used in logs and QUALITY_SCORER
+//   accepts(input, response)  whether the pair is good enough to learn
+//   score(input, response)    0-100 on the heuristic's scale; stored as the
+//                             entry's quality, which ranks replies
+//   describe()                what the scorer is and how it was built
+//
+// The heuristic accepts pairs scoring at least MIN_QUALITY_SCORE. 'bayes' is
+// a multinomial Naive Bayes model trained from labeled pairs with
+// `node server.js quality retrain` and kept in QUALITY_MODEL_FILE. It accepts
+// pairs it rates good with probability QUALITY_MODEL_ACCEPT or more, and
+// scores them by that probability mapped onto the heuristic's scale (see
+// NaiveBayesQualityScorer.quality), so learned entries rank among existing
+// ones. Until a model has been trained it defers to the heuristic. Labels
+// come from feedback ratings, pinned entries and QUALITY_LABELS_FILE, where
+// curator deletions, pins and quality edits are logged.
+const QUALITY_SCORERS = ['bayes', 'heuristic'];
+const QUALITY_MODEL_FILE = path.join(PERSISTENT_DIR, 'quality-model.json');
+const QUALITY_LABELS_FILE = path.join(PERSISTENT_DIR, 'quality-labels.jsonl');
+const QUALITY_MODEL_VERSION = 1;
+
+function qualityError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+class HeuristicQualityScorer {
+  constructor() {
+    this.name = 'heuristic';
+  }
+
+  accepts(input, response) {
+    return this.score(input, response) >= CONFIG.MIN_QUALITY_SCORE;
+  }
+
+  score(input, response) {
+    return GarbageClassifier.calculateQuality(input, response);
+  }
+
+  describe() {
+    return { name: this.name, minQualityScore: CONFIG.MIN_QUALITY_SCORE };
+  }
+}
+
+class NaiveBayesQualityScorer {
+  constructor(file) {
+    this.name = 'bayes';
+    this.file = file;
+    this.model = null;
+    this.fallback = new HeuristicQualityScorer();
+  }
+
+  static _bucket(count) {
+    if (count <= 2) return String(count);
+    if (count <= 5) return '3-5';
+    if (count <= 10) return '6-10';
+    if (count <= 20) return '11-20';
+    return '21+';
+  }
+
+  static _words(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  }
+
+  // Bag of features for a pair: the words on each side plus a few shape
+  // features the heuristic looked at (lengths, punctuation, echoing)
+  static features(input, response) {
+    const inputWords = this._words(input);
+    const responseWords = this._words(response);
+    const inputSet = new Set(inputWords);
+    const overlap = responseWords.length
+      ? responseWords.filter(word => inputSet.has(word)).length / responseWords.length
+      : 0;
+
+    return [
+      ...inputWords.map(word => `i:${word}`),
+      ...responseWords.map(word => `r:${word}`),
+      `ilen:${this._bucket(inputWords.length)}`,
+      `rlen:${this._bucket(responseWords.length)}`,
+      `rend:${/[.!?]$/.test(response.trim()) ? 'punct' : 'bare'}`,
+      `overlap:${overlap === 0 ? 'none' : overlap < 0.5 ? 'some' : 'most'}`,
+      ...(input.trim().toLowerCase() === response.trim().toLowerCase() ? ['echo'] : [])
+    ];
+  }
+
+  // examples: [{ input, response, label: 'good' | 'bad' }]
+  static train(examples, { alpha = 1 } = {}) {
+    const classes = {
+      good: { examples: 0, total: 0, counts: {} },
+      bad: { examples: 0, total: 0, counts: {} }
+    };
+    const vocabulary = new Set();
+
+    for (const { input, response, label } of examples) {
+      const target = classes[label];
+      target.examples++;
+      for (const feature of this.features(input, response)) {
+        target.counts[feature] = (target.counts[feature] || 0) + 1;
+        target.total++;
+        vocabulary.add(feature);
+      }
+    }
+
+    return {
+      version: QUALITY_MODEL_VERSION,
+      type: 'multinomial-naive-bayes',
+      trainedAt: new Date().toISOString(),
+      alpha,
+      vocabularySize: vocabulary.size,
+      classes
+    };
+  }
+
+  // P(good), 0-1. Class priors are taken as equal, since how many pairs of
+  // each kind were labeled says nothing about new pairs; features the model
+  // never saw are skipped.
+  static predict(model, input, response) {
+    const { good, bad } = model.classes;
+    const denominator = label => model.classes[label].total + model.alpha * model.vocabularySize;
+    const goodDenominator = denominator('good');
+    const badDenominator = denominator('bad');
+
+    let logOdds = 0;
+    for (const feature of this.features(input, response)) {
+      if (!(feature in good.counts) && !(feature in bad.counts)) continue;
+      logOdds += Math.log(((good.counts[feature] || 0) + model.alpha) / goodDenominator);
+      logOdds -= Math.log(((bad.counts[feature] || 0) + model.alpha) / badDenominator);
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  }
+
+  // P(good) on the heuristic's 0-100 scale, linear on either side of the
+  // gate: QUALITY_MODEL_ACCEPT lands on MIN_QUALITY_SCORE and certainty on
+  // 100, so the model's accepted pairs fill the band the heuristic's do
+  static quality(probability) {
+    const accept = CONFIG.QUALITY_MODEL_ACCEPT;
+    const min = CONFIG.MIN_QUALITY_SCORE;
+    const scaled = probability >= accept
+      ? min + (100 - min) * (probability - accept) / (1 - accept)
+      : min * probability / accept;
+    return Math.round(scaled);
+  }
+
+  // Read the model file; without one the heuristic keeps scoring
+  load() {
+    let model;
+    try {
+      model = JSON.parse(fsSync.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn('Quality model could not be read, scoring with the heuristic', { file: this.file, error: err.message });
+      }
+      this.model = null;
+      return null;
+    }
+
+    if (model?.version !== QUALITY_MODEL_VERSION || !model.classes?.good || !model.classes?.bad) {
+      logger.warn('Quality model has an unknown format, scoring with the heuristic', { file: this.file });
+      this.model = null;
+      return null;
+    }
+
+    this.model = model;
+    logger.info('Quality model loaded', { file: this.file, trainedAt: model.trainedAt, vocabulary: model.vocabularySize });
+    return model;
+  }
+
+  // Picks up models written by a retrain in another process
+  watch() {
+    fsSync.watchFile(this.file, { interval: CONFIG.QUALITY_MODEL_POLL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.load();
+    });
+  }
+
+  accepts(input, response) {
+    if (!this.model) return this.fallback.accepts(input, response);
+    return NaiveBayesQualityScorer.predict(this.model, input, response) >= CONFIG.QUALITY_MODEL_ACCEPT;
+  }
+
+  score(input, response) {
+    if (!this.model) return this.fallback.score(input, response);
+    return NaiveBayesQualityScorer.quality(NaiveBayesQualityScorer.predict(this.model, input, response));
+  }
+
+  describe() {
+    if (!this.model) return { name: this.name, file: this.file, trained: false, gatingWith: this.fallback.describe() };
+    return {
+      name: this.name,
+      file: this.file,
+      trained: true,
+      acceptProbability: CONFIG.QUALITY_MODEL_ACCEPT,
+      trainedAt: this.model.trainedAt,
+      examples: { good: this.model.classes.good.examples, bad: this.model.classes.bad.examples },
+      vocabularySize: this.model.vocabularySize
+    };
+  }
+}
+
+function createQualityScorer(name) {
+  switch (name) {
+    case 'bayes': {
+      const scorer = new NaiveBayesQualityScorer(QUALITY_MODEL_FILE);
+      scorer.load();
+      return scorer;
+    }
+    case 'heuristic':
+      return new HeuristicQualityScorer();
+    default:
+      throw qualityError('QUALITY_MISCONFIGURED',
+        `Unknown quality scorer "${name}" (expected one of: ${QUALITY_SCORERS.join(', ')})`);
+  }
+}
+
+let qualityScorer = null;
+
+function getQualityScorer() {
+  if (!qualityScorer) qualityScorer = createQualityScorer(CONFIG.QUALITY_SCORER);
+  return qualityScorer;
+}
+
+class QualityLabels {
+  // Curator verdicts on a pair; label is 'good' or 'bad'
+  static record(input, response, label, source) {
+    const line = JSON.stringify({ input, response, label, source, timestamp: Date.now() }) + '\n';
+    fs.mkdir(PERSISTENT_DIR, { recursive: true })
+      .then(() => fs.appendFile(QUALITY_LABELS_FILE, line))
+      .catch(err => logger.warn('Quality label not recorded', { file: QUALITY_LABELS_FILE, error: err.message }));
+  }
+
+  static async _logged() {
+    let data;
+    try {
+      data = await fs.readFile(QUALITY_LABELS_FILE, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const labels = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        labels.push(JSON.parse(line));
+      } catch {
+        // A torn last line from a crash mid-append
+      }
+    }
+    return labels;
+  }
+
+  // Every labeled pair in memory and the label log, the latest label for a
+  // pair winning: [{ input, response, label, source }]
+  static async collect(memory = globalMemory) {
+    const pinned = [
+      ...memory.contextPairs,
+      ...Object.values(memory.semanticClusters).flat()
+    ]
+      .filter(entry => entry.pinned)
+      .map(entry => ({ input: entry.input, response: entry.response, label: 'good', source: 'pinned', timestamp: 0 }));
+
+    const rated = (memory.feedback || [])
+      .filter(record => record.input && record.response)
+      .map(record => ({
+        input: record.input,
+        response: record.response,
+        label: record.rating === 'up' ? 'good' : 'bad',
+        source: 'feedback',
+        timestamp: record.timestamp
+      }));
+
+    const logged = (await this._logged())
+      .filter(record => typeof record.input === 'string' && typeof record.response === 'string' &&
+        (record.label === 'good' || record.label === 'bad'));
+
+    const latest = new Map();
+    for (const example of [...rated, ...logged].sort((a, b) => a.timestamp - b.timestamp)) {
+      latest.set(`${example.input.toLowerCase()}${ENTRY_KEY_SEPARATOR}${example.response.toLowerCase()}`, example);
+    }
+    for (const example of pinned) {
+      const key = `${example.input.toLowerCase()}${ENTRY_KEY_SEPARATOR}${example.response.toLowerCase()}`;
+      if (!latest.has(key)) latest.set(key, example);
+    }
+
+    return Array.from(latest.values(), ({ input, response, label, source }) => ({ input, response, label, source }));
+  }
+}
+
+// Pairs scoring at or above the threshold are accepted. Precision is the
+// share of accepted pairs that are good, recall the share of good pairs
+// accepted, and AUC how well the scores rank good pairs above bad ones at any
+// threshold (0.5 is chance)
+function scoreQualityPredictions(predictions, threshold) {
+  const accepted = predictions.filter(p => p.score >= threshold);
+  const truePositives = accepted.filter(p => p.label === 'good').length;
+  const good = predictions.filter(p => p.label === 'good');
+  const bad = predictions.filter(p => p.label === 'bad');
+  const correct = predictions.filter(p => (p.score >= threshold) === (p.label === 'good')).length;
+
+  let ranked = 0;
+  for (const g of good) {
+    for (const b of bad) ranked += g.score > b.score ? 1 : g.score === b.score ? 0.5 : 0;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const precision = accepted.length ? truePositives / accepted.length : 0;
+  const recall = good.length ? truePositives / good.length : 0;
+  return {
+    accuracy: round(correct / predictions.length),
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(precision + recall ? 2 * precision * recall / (precision + recall) : 0),
+    auc: good.length && bad.length ? round(ranked / (good.length * bad.length)) : null,
+    accepted: { good: truePositives, bad: accepted.length - truePositives },
+    rejected: { good: good.length - truePositives, bad: bad.length - (accepted.length - truePositives) }
+  };
+}
+
+// Cross-validated comparison of the Naive Bayes model against the heuristic
+// on the labeled pairs, each at the threshold it gates learning with. Folds
+// are assigned by hashing each pair, so reports are repeatable.
+function evaluateQualityScorers(examples, { folds = CONFIG.QUALITY_EVAL_FOLDS } = {}) {
+  const counts = { good: 0, bad: 0 };
+  examples.forEach(example => counts[example.label]++);
+  if (examples.length < CONFIG.QUALITY_MIN_EXAMPLES || counts.good === 0 || counts.bad === 0) {
+    throw qualityError('QUALITY_TRAINING_DATA',
+      `Need at least ${CONFIG.QUALITY_MIN_EXAMPLES} labeled pairs including good and bad ones (have ${counts.good} good, ${counts.bad} bad)`);
+  }
+
+  const foldOf = example => crypto.createHash('sha1')
+    .update(`${example.input}${ENTRY_KEY_SEPARATOR}${example.response}`)
+    .digest()
+    .readUInt32BE(0) % folds;
+
+  const bayes = [];
+  const heuristic = [];
+  for (let fold = 0; fold < folds; fold++) {
+    const held = examples.filter(example => foldOf(example) === fold);
+    if (held.length === 0) continue;
+    const model = NaiveBayesQualityScorer.train(examples.filter(example => foldOf(example) !== fold));
+    for (const example of held) {
+      bayes.push({ label: example.label, score: NaiveBayesQualityScorer.predict(model, example.input, example.response) });
+      heuristic.push({ label: example.label, score: GarbageClassifier.calculateQuality(example.input, example.response) });
+    }
+  }
+
+  const sources = {};
+  examples.forEach(example => { sources[example.source] = (sources[example.source] || 0) + 1; });
+  return {
+    examples: { total: examples.length, ...counts, sources },
+    folds,
+    bayes: { threshold: CONFIG.QUALITY_MODEL_ACCEPT, ...scoreQualityPredictions(bayes, CONFIG.QUALITY_MODEL_ACCEPT) },
+    heuristic: { threshold: CONFIG.MIN_QUALITY_SCORE, ...scoreQualityPredictions(heuristic, CONFIG.MIN_QUALITY_SCORE) }
+  };
+}
+
+// ============================================================================
+// RESPONSE FEEDBACK
+// ============================================================================
+
+// Remembers which learned entry produced each reply, keyed by the requestId
+// returned from /api/chat, for as long as that reply can still be rated
+class ResponseProvenance {
+  constructor(ttl = CONFIG.FEEDBACK_WINDOW_MS) {
+    this.entries = new Map();
+    this.ttl = ttl;
+  }
+
+  record(requestId, details) {
+    this.entries.set(requestId, {
+      ...details,
+      rated: false,
+      timestamp: Date.now()
+    });
+
+    // Limit tracked replies
+    if (this.entries.size > 10000) {
+      const firstKey = this.entries.keys().next().value;
+      this.entries.delete(firstKey);
+    }
+  }
+
+  get(requestId) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > this.ttl) {
+      this.entries.delete(requestId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [requestId, entry] of this.entries.entries()) {
+      if (entry.timestamp < cutoff) this.entries.delete(requestId);
+    }
+  }
+}
+
+const responseProvenance = new ResponseProvenance();
+
+// Cleanup provenance every 5 minutes
+setInterval(() => responseProvenance.cleanup(), 5 * 60 * 1000).unref();
+
+// ============================================================================
+// SESSION MANAGEMENT
+// ============================================================================
+
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+    this.conversationBuffer = new Map();
+  }
+
+  updateActivity(sessionId) {
+    this.sessions.set(sessionId, Date.now());
+    statsBroadcaster.notify();
+  }
+
+  getConversationHistory(sessionId) {
+    if (!this.conversationBuffer.has(sessionId)) {
+      this.conversationBuffer.set(sessionId, []);
+    }
+    return this.conversationBuffer.get(sessionId);
+  }
+
+  // After a restart the buffer is empty; pick a recently active conversation
+  // back up from its transcript so learning keeps its context. Resolves with
+  // whether the session has stored turns from before.
+  async hydrate(sessionId) {
+    if (this.conversationBuffer.get(sessionId)?.length > 0) return true;
+    if (!isTranscribed(sessionId)) return false;
+
+    try {
+      const { turns } = await transcriptStore.page(sessionId, { limit: CONFIG.MAX_CONVERSATION_HISTORY });
+      const cutoff = Date.now() - CONFIG.SESSION_TIMEOUT_MS;
+      if (!this.conversationBuffer.has(sessionId)) {
+        this.conversationBuffer.set(sessionId, turns
+          .filter(turn => turn.timestamp >= cutoff)
+          .map(({ user, ai, timestamp }) => ({ user, ai, timestamp })));
+      }
+      return turns.length > 0;
+    } catch (err) {
+      logger.warn('Failed to restore conversation history', { sessionId, error: err.message });
+      return true;
+    }
+  }
+
+  addToHistory(sessionId, userMessage, aiResponse) {
+    const history = this.getConversationHistory(sessionId);
+    const turn = {
+      user: userMessage,
+      ai: aiResponse,
+      timestamp: Date.now()
+    };
+    history.push(turn);
+
+    // Keep only recent history
+    if (history.length > CONFIG.MAX_CONVERSATION_HISTORY) {
+      history.shift();
+    }
+
+    if (isTranscribed(sessionId)) {
+      transcriptStore.append(sessionId, turn).catch(err => {
+        logger.warn('Failed to record conversation turn', { sessionId, error: err.message });
+      });
+    }
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - CONFIG.SESSION_TIMEOUT_MS;
+    let cleaned = 0;
+
+    for (const [sessionId, lastActivity] of this.sessions.entries()) {
+      if (lastActivity < cutoff) {
+        this.sessions.delete(sessionId);
+        this.conversationBuffer.delete(sessionId);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      logger.info('Session cleanup', { cleaned, active: this.sessions.size });
+      statsBroadcaster.notify();
+    }
+
+    // Enforce max sessions limit
+    if (this.sessions.size > CONFIG.MAX_SESSIONS) {
+      const entries = Array.from(this.sessions.entries())
+        .sort((a, b) => a[1] - b[1]);
+      
+      const toRemove = entries.slice(0, entries.length - CONFIG.MAX_SESSIONS);
+      for (const [sessionId] of toRemove) {
+        this.sessions.delete(sessionId);
+        this.conversationBuffer.delete(sessionId);
+      }
+      
+      logger.warn('Session limit enforced', { removed: toRemove.length });
+      statsBroadcaster.notify();
+    }
+  }
+
+  getActiveCount() {
+    return this.sessions.size;
+  }
+}
+
+const sessionManager = new SessionManager();
+
+// Cleanup sessions every minute
+setInterval(() => sessionManager.cleanup(), 60 * 1000).unref();
+
+// ============================================================================
+// CONVERSATION TRANSCRIPTS
+// ============================================================================
+
+// Every turn of a conversation is kept per session so chats survive page
+// reloads and restarts. Turns are stored in Postgres when it is the primary
+// storage backend, otherwise as one JSONL file per session. Each turn has a
+// seq that only grows within its session and serves as the pagination cursor.
+//
+// The shared "default" session (clients that send no sessionId) is never
+// recorded, since anyone could read it back.
+//
+// Session ids are chosen by clients and appear in logs, so reading a
+// transcript back takes the history token the first reply of the session
+// carried, sent as X-History-Token.
+function isTranscribed(sessionId) {
+  return sessionId !== 'default';
+}
+
+function historyToken(sessionId) {
+  return serverHmac('history', sessionId);
+}
+
+function historyTokenMatches(sessionId, token) {
+  const expected = crypto.createHash('sha256').update(historyToken(sessionId)).digest();
+  const actual = crypto.createHash('sha256').update(String(token || '')).digest();
+  return Boolean(token) && crypto.timingSafeEqual(expected, actual);
+}
+
+class FileTranscriptStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.lastSeq = 0;
+    this.chain = Promise.resolve();
+  }
+
+  _file(sessionId) {
+    return path.join(this.dir, `${sessionId}.jsonl`);
+  }
+
+  // Microsecond timestamps: unique in this process, and still increasing
+  // across restarts
+  _nextSeq() {
+    this.lastSeq = Math.max(this.lastSeq + 1, Date.now() * 1000);
+    return this.lastSeq;
+  }
+
+  // Writes run one at a time so a session's lines stay in seq order
+  _enqueue(task) {
+    const run = this.chain.then(task);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  append(sessionId, turn) {
+    const line = JSON.stringify({ seq: this._nextSeq(), ...turn }) + '\n';
+    return this._enqueue(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this._file(sessionId), line);
+    });
+  }
+
+  async _read(file) {
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const turns = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        turns.push(JSON.parse(line));
+      } catch {
+        // A torn last line from a crash
+      }
+    }
+    return turns;
+  }
+
+  async page(sessionId, { before = Infinity, limit }) {
+    const turns = (await this._read(this._file(sessionId))).filter(turn => turn.seq < before);
+    return { turns: turns.slice(-limit), hasMore: turns.length > limit };
+  }
+
+  // Drop turns past the retention window and cap each session's length
+  prune(cutoff, maxTurns) {
+    return this._enqueue(async () => {
+      let names;
+      try {
+        names = await fs.readdir(this.dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+      }
+
+      let removed = 0;
+      for (const name of names.filter(name => name.endsWith('.jsonl'))) {
+        const file = path.join(this.dir, name);
+        const turns = await this._read(file);
+        const kept = turns.filter(turn => turn.timestamp >= cutoff).slice(-maxTurns);
+        if (kept.length === turns.length) continue;
+
+        removed += turns.length - kept.length;
+        if (kept.length === 0) {
+          await fs.unlink(file);
+        } else {
+          await writeFileDurable(file, kept.map(turn => JSON.stringify(turn) + '\n').join(''));
+        }
+      }
+      return removed;
+    });
+  }
+
+  flush() {
+    return this.chain;
+  }
+}
+
+class PostgresTranscriptStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.pending = new Set();
+  }
+
+  append(sessionId, turn) {
+    const write = pgStore.migrate().then(() => this.pool.query(
+      'INSERT INTO conversation_turns (session_id, user_message, ai_response, created_at) VALUES ($1, $2, $3, $4)',
+      [sessionId, turn.user, turn.ai, turn.timestamp]
+    ));
+    this.pending.add(write);
+    return write.finally(() => this.pending.delete(write));
+  }
+
+  async page(sessionId, { before = Infinity, limit }) {
+    await pgStore.migrate();
+    const res = await this.pool.query(`
+      SELECT id, user_message, ai_response, created_at FROM conversation_turns
+      WHERE session_id = $1 AND ($2::bigint IS NULL OR id < $2)
+      ORDER BY id DESC LIMIT $3
+    `, [sessionId, Number.isFinite(before) ? before : null, limit + 1]);
+
+    const turns = res.rows.slice(0, limit).reverse().map(row => ({
+      seq: Number(row.id),
+      user: row.user_message,
+      ai: row.ai_response,
+      timestamp: Number(row.created_at)
+    }));
+    return { turns, hasMore: res.rowCount > limit };
+  }
+
+  async prune(cutoff, maxTurns) {
+    await pgStore.migrate();
+    const expired = await this.pool.query('DELETE FROM conversation_turns WHERE created_at < $1', [cutoff]);
+    const overflow = await this.pool.query(`
+      DELETE FROM conversation_turns WHERE id IN (
+        SELECT id FROM (
+          SELECT id, row_number() OVER (PARTITION BY session_id ORDER BY id DESC) AS position
+          FROM conversation_turns
+        ) ranked WHERE position > $1
+      )
+    `, [maxTurns]);
+    return expired.rowCount + overflow.rowCount;
+  }
+
+  async flush() {
+    await Promise.allSettled(Array.from(this.pending));
+  }
+}
+
+const transcriptStore = STORAGE_PRIMARY === 'postgres' && pgPool
+  ? new PostgresTranscriptStore(pgPool)
+  : new FileTranscriptStore(TRANSCRIPT_DIR);
+
+async function pruneTranscripts() {
+  const cutoff = Date.now() - CONFIG.TRANSCRIPT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  try {
+    const removed = await transcriptStore.prune(cutoff, CONFIG.TRANSCRIPT_MAX_TURNS);
+    if (removed > 0) logger.info('Pruned conversation transcripts', { removed });
+  } catch (err) {
+    logger.warn('Transcript pruning failed', { error: err.message });
+  }
+}
+
+// ============================================================================
+// LIVE STATS
+// ============================================================================
+
+// Pushes stats to GET /api/events subscribers over Server-Sent Events. A new
+// subscriber gets a full "snapshot"; after that only changed fields are sent
+// as "stats" events, at most once per STATS_PUSH_THROTTLE_MS. A "heartbeat"
+// every STATS_HEARTBEAT_MS lets clients tell a live channel from a dead one.
+class StatsBroadcaster {
+  constructor() {
+    this.clients = new Set();
+    this.lastSent = null;
+    this.lastBroadcastAt = 0;
+    this.timer = null;
+    this.heartbeat = null;
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  snapshot() {
+    return {
+      stats: { ...globalMemory.stats },
+      activeUsers: sessionManager.getActiveCount()
+    };
+  }
+
+  subscribe(res) {
+    const snapshot = this.snapshot();
+    if (this.clients.size === 0) this.lastSent = snapshot; // Deltas start from here
+
+    this.clients.add(res);
+    this._send(res, 'snapshot', snapshot);
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this._broadcast('heartbeat', { time: Date.now() }), CONFIG.STATS_HEARTBEAT_MS);
+    }
+  }
+
+  unsubscribe(res) {
+    this.clients.delete(res);
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  // Called whenever stats may have changed. Always deferred, so a request
+  // handler finishes its updates before the delta is taken.
+  notify() {
+    if (this.clients.size === 0 || this.timer) return;
+
+    const wait = Math.max(0, this.lastBroadcastAt + CONFIG.STATS_PUSH_THROTTLE_MS - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._pushDelta();
+    }, wait);
+  }
+
+  _pushDelta() {
+    const current = this.snapshot();
+    const previous = this.lastSent || { stats: {} };
+    const delta = {};
+
+    for (const [name, value] of Object.entries(current.stats)) {
+      if (previous.stats[name] !== value) {
+        delta.stats = delta.stats || {};
+        delta.stats[name] = value;
+      }
+    }
+    if (previous.activeUsers !== current.activeUsers) delta.activeUsers = current.activeUsers;
+
+    this.lastSent = current;
+    this.lastBroadcastAt = Date.now();
+    if (Object.keys(delta).length > 0) this._broadcast('stats', delta);
+  }
+
+  _broadcast(event, data) {
+    for (const res of this.clients) this._send(res, event, data);
+  }
+
+  _send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+const statsBroadcaster = new StatsBroadcaster();
+
+// ============================================================================
+// STORAGE ADAPTERS
+// ============================================================================
+
+// Every storage backend implements the same contract:
+//
+//   name                  label used in logs, metrics and STORAGE_* settings
+//   async load()          the stored memory document, or null when the store
+//                         is empty. Throws when the store cannot be reached or
+//                         holds something that is not a memory document.
+//   async save(memory, json)
+//                         replace the stored document. json is the document
+//                         already serialized, for stores that keep text.
+//                         Throws on failure.
+//   async health()        { ok, detail }; never throws
+//   async close()         release connections
+//   async watch(getMemory, onChange)
+//                         optional, for stores other instances write to as
+//                         well: keep getMemory() current with their changes
+//
+// test/storage.test.js holds every implementation to this contract.
+
+class FileStorageAdapter {
+  constructor(file) {
+    this.name = 'file';
+    this.file = file;
+  }
+
+  async load() {
+    let data;
+    try {
+      data = await fs.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    if (!data.trim()) return null;
+    return JSON.parse(data);
+  }
+
+  async save(memory, json = JSON.stringify(memory)) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await writeFileDurable(this.file, json);
+  }
+
+  async health() {
+    try {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.access(path.dirname(this.file), fsSync.constants.W_OK);
+      return { ok: true, detail: this.file };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  }
+
+  async close() {}
+}
+
+// Saves merge with whatever other instances sharing the database wrote; see
+// PostgresMemoryStore. Until load() the tables may hold anything, so a save
+// before it overwrites them.
+class PostgresStorageAdapter {
+  constructor(store) {
+    this.name = 'postgres';
+    this.store = store;
+    this.timers = [];
+    this.pullTimer = null;
+  }
+
+  async load() {
+    return this.store.load();
+  }
+
+  async save(memory) {
+    return this.store.save(memory);
+  }
+
+  // Keep the document from getMemory() current with peers' writes: pull on
+  // their notifications, and poll in case one was missed. onChange receives
+  // { inputs, stats, merged } whenever a pull or merge changed memory.
+  async watch(getMemory, onChange) {
+    this.store.onChange = onChange;
+
+    const schedule = () => {
+      if (this.pullTimer) return;
+      this.pullTimer = setTimeout(() => {
+        this.pullTimer = null;
+        this.store.pull(getMemory()).catch(err =>
+          logger.warn('Failed to pull memory changes from Postgres', { error: err.message }));
+      }, CONFIG.SYNC_DEBOUNCE_MS);
+    };
+
+    // Polling comes first so this instance keeps pulling however listen() fares
+    this.timers.push(
+      setInterval(schedule, CONFIG.SYNC_POLL_MS),
+      setInterval(() => {
+        this.store.pruneTombstones().catch(err =>
+          logger.warn('Failed to prune Postgres tombstones', { error: err.message }));
+      }, 24 * 60 * 60 * 1000)
+    );
+    await this.store.listen(schedule);
+  }
+
+  async health() {
+    try {
+      await this.store.pool.query('SELECT 1');
+      return { ok: true, detail: 'connected' };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  }
+
+  async close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    clearTimeout(this.pullTimer);
+    await this.store.unlisten();
+    await this.store.pool.end();
+  }
+}
+
+class ReplitStorageAdapter {
+  constructor(url, key = 'memory') {
+    this.name = 'replit';
+    this.url = url;
+    this.key = key;
+  }
+
+  async load() {
+    const res = await fetch(`${this.url}/${encodeURIComponent(this.key)}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Replit DB answered HTTP ${res.status}`);
+    const text = await res.text();
+    return text && text.trim() ? JSON.parse(text) : null;
+  }
+
+  async save(memory, json = JSON.stringify(memory)) {
+    const res = await fetch(`${this.url}/${encodeURIComponent(this.key)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ value: json })
+    });
+    if (!res.ok) throw new Error(`Replit DB answered HTTP ${res.status}`);
+  }
+
+  async health() {
+    try {
+      const res = await fetch(`${this.url}/${encodeURIComponent(this.key)}`, { method: 'HEAD' });
+      return res.ok || res.status === 404
+        ? { ok: true, detail: 'reachable' }
+        : { ok: false, detail: `HTTP ${res.status}` };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  }
+
+  async close() {}
+}
+
+// Keeps a private copy in this process. Nothing survives a restart; meant for
+// throwaway instances and for exercising the rest of the persistence code.
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.json = null;
+  }
+
+  async load() {
+    return this.json === null ? null : JSON.parse(this.json);
+  }
+
+  async save(memory, json = JSON.stringify(memory)) {
+    this.json = json;
+  }
+
+  async health() {
+    return { ok: true, detail: 'in-process' };
+  }
+
+  async close() {}
+}
+
+function storageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createStorageAdapter(name) {
+  switch (name) {
+    case 'file':
+      return new FileStorageAdapter(PERSISTENT_MEMORY_FILE);
+    case 'postgres':
+      if (!pgStore) throw storageError('STORAGE_MISCONFIGURED', 'postgres storage needs DATABASE_URL');
+      return new PostgresStorageAdapter(pgStore);
+    case 'replit':
+      if (!REPLIT_DB_URL) throw storageError('STORAGE_MISCONFIGURED', 'replit storage needs REPLIT_DB_URL');
+      return new ReplitStorageAdapter(REPLIT_DB_URL);
+    case 'memory':
+      return new MemoryStorageAdapter();
+    default:
+      throw storageError('STORAGE_MISCONFIGURED',
+        `Unknown storage backend "${name}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+// { primary, mirrors } for STORAGE_PRIMARY and STORAGE_MIRRORS, built once
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const mirrors = STORAGE_MIRRORS.filter(name => name !== STORAGE_PRIMARY);
+    storage = {
+      primary: createStorageAdapter(STORAGE_PRIMARY),
+      mirrors: Array.from(new Set(mirrors)).map(name => createStorageAdapter(name))
+    };
+  }
+  return storage;
+}
+
+async function storageHealth() {
+  const { primary, mirrors } = getStorage();
+  const [primaryHealth, ...mirrorHealth] = await Promise.all([primary, ...mirrors].map(adapter => adapter.health()));
+  return {
+    primary: { backend: primary.name, ...primaryHealth },
+    mirrors: mirrors.map((adapter, i) => ({ backend: adapter.name, ...mirrorHealth[i] }))
+  };
+}
+
+async function closeStorage() {
+  if (!storage) return;
+  for (const adapter of [storage.primary, ...storage.mirrors]) {
+    await adapter.close().catch(err => logger.warn('Failed to close storage', { backend: adapter.name, error: err.message }));
+  }
+}
+
+// Keys sorted, so documents compare equal whatever order a store returns
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ============================================================================
+// MEMORY PERSISTENCE
+// ============================================================================
+
+// Upgrades for stored memory documents, applied in order on load. A document
+// without schemaVersion predates versioning and starts at 0. Never edit a
+// shipped step; append a new one and the version follows.
+const MEMORY_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Default confidence on learned entries',
+    up: (memory) => {
+      const fill = entry => {
+        if (entry && entry.confidence === undefined) entry.confidence = 1;
+      };
+      memory.contextPairs.forEach(fill);
+      Object.values(memory.semanticClusters).forEach(cluster => {
+        if (Array.isArray(cluster)) cluster.forEach(fill);
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Drop the unused patterns section',
+    up: (memory) => {
+      delete memory.patterns;
+    }
+  },
+  {
+    version: 3,
+    description: 'Add the feedback log and journal position',
+    up: (memory) => {
+      if (!Array.isArray(memory.feedback)) memory.feedback = [];
+      if (typeof memory.journalSeq !== 'number') memory.journalSeq = 0;
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the API key registry',
+    up: (memory) => {
+      if (!Array.isArray(memory.apiKeys)) memory.apiKeys = [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the pending pattern quarantine',
+    up: (memory) => {
+      if (!Array.isArray(memory.pendingPatterns)) memory.pendingPatterns = [];
+    }
+  }
+];
+
+const MEMORY_SCHEMA_VERSION = MEMORY_MIGRATIONS[MEMORY_MIGRATIONS.length - 1].version;
+const ALLOW_NEWER_SCHEMA = process.env.ALLOW_NEWER_SCHEMA === '1';
+
+let globalMemory = {
+  schemaVersion: MEMORY_SCHEMA_VERSION,
+  keywordPipeline: TextNormalizer.pipelineVersion,
+  journalSeq: 0,
+  apiKeys: [],
+  contextPairs: [],
+  semanticClusters: {},
+  qualityScores: {},
+  feedback: [],
+  pendingPatterns: [],
+  stats: {
+    totalMessages: 0,
+    totalConversations: 0,
+    trainingDataPoints: 0,
+    garbageFiltered: 0,
+    liveConversationsLearned: 0
+  }
+};
+
+let saveQueue = Promise.resolve();
+let saveScheduled = false;
+let savesDisabled = false; // Read-only CLI commands never write memory back
+let lastSnapshotBytes = 0;
+
+// Bring a loaded document up to MEMORY_SCHEMA_VERSION. A document written by
+// newer code is refused, because saving it back could drop what this build
+// does not understand; ALLOW_NEWER_SCHEMA=1 serves it read-only instead.
+function migrateMemory(memory) {
+  const from = Number.isInteger(memory.schemaVersion) ? memory.schemaVersion : 0;
+
+  if (from > MEMORY_SCHEMA_VERSION) {
+    if (!ALLOW_NEWER_SCHEMA) {
+      const error = new Error(
+        `Memory schema v${from} is newer than this build supports (v${MEMORY_SCHEMA_VERSION}). ` +
+        'Upgrade the server, or set ALLOW_NEWER_SCHEMA=1 to run read-only.'
+      );
+      error.code = 'MEMORY_SCHEMA_TOO_NEW';
+      throw error;
+    }
+    savesDisabled = true;
+    logger.warn('Memory schema is newer than this build, running read-only', {
+      schemaVersion: from,
+      supported: MEMORY_SCHEMA_VERSION
+    });
+    return [];
+  }
+
+  const applied = [];
+  for (const migration of MEMORY_MIGRATIONS) {
+    if (migration.version <= from) continue;
+    migration.up(memory);
+    memory.schemaVersion = migration.version;
+    applied.push(migration.version);
+    logger.info('Memory migration applied', { version: migration.version, description: migration.description });
+  }
+  return applied;
+}
+
+function isMemoryDocument(memory) {
+  return Boolean(memory && memory.stats && Array.isArray(memory.contextPairs) && memory.semanticClusters);
+}
+
+// Migrate, validate and re-key a loaded document before it goes live.
+// Returns true when the document changed and should be written back.
+function prepareMemory(memory) {
+  const fromVersion = memory.schemaVersion || 0;
+  const applied = migrateMemory(memory);
+  const validation = validateMemory(memory);
+  let changed = false;
+
+  if (applied.length > 0 || validation.dropped > 0 || validation.repaired > 0) {
+    logger.info('Memory document upgraded', {
+      from: fromVersion,
+      to: memory.schemaVersion,
+      migrations: applied,
+      ...validation
+    });
+    changed = true;
+  }
+
+  if (memory.keywordPipeline !== TextNormalizer.pipelineVersion) {
+    const from = memory.keywordPipeline || 'legacy';
+    const before = Object.keys(memory.semanticClusters).length;
+    IntelligentLearner.rekeyClusters(memory);
+    logger.info('Semantic clusters re-keyed for keyword pipeline', {
+      from,
+      to: memory.keywordPipeline,
+      clustersBefore: before,
+      clustersAfter: Object.keys(memory.semanticClusters).length
+    });
+    changed = true;
+  }
+
+  return changed;
+}
+
+// Check every learned entry's shape. Entries that cannot answer anything are
+// dropped; recoverable fields are repaired in place.
+function validateMemory(memory) {
+  const result = { dropped: 0, repaired: 0 };
+
+  const checkEntry = (entry) => {
+    if (!entry || typeof entry !== 'object' ||
+        typeof entry.input !== 'string' || !entry.input.trim() ||
+        typeof entry.response !== 'string' || !entry.response.trim() ||
+        !Number.isFinite(entry.quality)) {
+      result.dropped++;
+      return false;
+    }
+
+    let repaired = false;
+    if (entry.quality < 0 || entry.quality > 100) {
+      entry.quality = Math.min(100, Math.max(0, entry.quality));
+      repaired = true;
+    }
+    if (!Number.isInteger(entry.confidence) || entry.confidence < 1) {
+      entry.confidence = 1;
+      repaired = true;
+    }
+    if (!Number.isFinite(entry.timestamp)) {
+      entry.timestamp = 0; // Unknown age counts as old, so it can be relearned
+      repaired = true;
+    }
+    if (typeof entry.id !== 'string' || !entry.id) {
+      entry.id = IntelligentLearner.newEntryId();
+      repaired = true;
+    }
+    if (entry.pinned !== undefined && typeof entry.pinned !== 'boolean') {
+      entry.pinned = Boolean(entry.pinned);
+      repaired = true;
+    }
+    if (entry.context !== undefined &&
+        !(Array.isArray(entry.context) && entry.context.every(term => typeof term === 'string'))) {
+      delete entry.context;
+      repaired = true;
+    }
+
+    if (repaired) result.repaired++;
+    return true;
+  };
+
+  memory.contextPairs = memory.contextPairs.filter(checkEntry);
+
+  for (const [keyword, cluster] of Object.entries(memory.semanticClusters)) {
+    const kept = Array.isArray(cluster) ? cluster.filter(checkEntry) : [];
+    if (!Array.isArray(cluster)) result.dropped++;
+
+    if (kept.length > 0) {
+      memory.semanticClusters[keyword] = kept;
+    } else {
+      delete memory.semanticClusters[keyword];
+    }
+  }
+
+  if (!memory.qualityScores || typeof memory.qualityScores !== 'object') {
+    memory.qualityScores = {};
+    result.repaired++;
+  }
+  for (const [name, value] of Object.entries(memory.stats)) {
+    if (!Number.isFinite(value)) {
+      memory.stats[name] = 0;
+      result.repaired++;
+    }
+  }
+
+  return result;
+}
+
+// Legacy snapshot location, still read when no persistent copy exists
+const MEMORY_FILE = path.join(__dirname, 'data', 'memory.json');
+
+// Every learnPattern call is appended here as one JSON line and fdatasync'ed
+// every JOURNAL_FSYNC_MS, so a crash loses at most that window. Snapshots
+// record the last sequence number they contain (memory.journalSeq); once every
+// store holds a snapshot, compaction drops the events it already covers.
+class LearningJournal {
+  constructor(file) {
+    this.file = file;
+    this.seq = 0;
+    this.compactedSeq = 0;
+    this.buffer = [];
+    this.handle = null;
+    this.timer = null;
+    this.chain = Promise.resolve();
+  }
+
+  append(event) {
+    if (savesDisabled) return;
+
+    this.seq++;
+    globalMemory.journalSeq = this.seq;
+    this.buffer.push(JSON.stringify({ seq: this.seq, ...event }) + '\n');
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(err => logger.error('Journal flush failed', err));
+      }, CONFIG.JOURNAL_FSYNC_MS);
+    }
+
+    if (this.seq - this.compactedSeq >= CONFIG.JOURNAL_COMPACT_EVENTS) {
+      queueSave();
+    }
+  }
+
+  // Journal file operations run one at a time, in the order requested
+  _enqueue(task) {
+    const run = this.chain.then(task);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  flush() {
+    return this._enqueue(() => this._write());
+  }
+
+  async _write() {
+    if (this.buffer.length === 0) return;
+
+    const lines = this.buffer;
+    this.buffer = [];
+    try {
+      if (!this.handle) this.handle = await fs.open(this.file, 'a');
+      await this.handle.write(lines.join(''));
+      await this.handle.datasync();
+    } catch (err) {
+      // Retry on the next flush; replay skips any line written twice
+      this.buffer = lines.concat(this.buffer);
+      throw err;
+    }
+  }
+
+  async _close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  // Events in sequence order. A torn last line from a crash is skipped.
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const events = [];
+    let malformed = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        malformed++;
+      }
+    }
+    if (malformed > 0) {
+      logger.warn('Skipped malformed journal lines', { file: this.file, malformed });
+    }
+    return events.sort((a, b) => a.seq - b.seq);
+  }
+
+  // Re-apply the events a loaded snapshot does not contain yet
+  async replay(memory) {
+    const events = await this.read();
+    let applied = memory.journalSeq || 0;
+    this.compactedSeq = applied;
+    let replayed = 0;
+
+    for (const event of events) {
+      if (event.seq <= applied) continue;
+      if (event.type === 'learn') {
+        IntelligentLearner.learnPattern(event.input, event.response, event.quality, {
+          context: event.context,
+          counter: event.counter,
+          now: event.at,
+          replaying: true
+        });
+      } else if (event.type === 'pending') {
+        LearningQuarantine.submit(event.input, event.response, event.quality, {
+          context: event.context,
+          caller: event.caller,
+          now: event.at,
+          replaying: true
+        });
+      } else if (event.type === 'pending_drop') {
+        LearningQuarantine.reject(event, { replaying: true });
+      }
+      applied = event.seq;
+      replayed++;
+    }
+
+    memory.journalSeq = applied;
+    this.seq = applied;
+    return replayed;
+  }
+
+  // Drop the events a durable snapshot covers, keeping anything newer
+  compact(seq) {
+    return this._enqueue(async () => {
+      await this._write();
+      await this._close();
+
+      const events = await this.read();
+      const kept = events.filter(event => event.seq > seq);
+      await writeFileDurable(this.file, kept.map(event => JSON.stringify(event) + '\n').join(''));
+
+      this.compactedSeq = Math.max(this.compactedSeq, seq);
+      return { dropped: events.length - kept.length, kept: kept.length };
+    });
+  }
+
+  async close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.flush();
+    await this._enqueue(() => this._close());
+  }
+}
+
+const learningJournal = new LearningJournal(JOURNAL_FILE);
+
+// Write via a temp file that is synced before it replaces the target, so a
+// crash leaves either the old or the new content in place
+async function writeFileDurable(file, data) {
+  const tempFile = file + '.tmp';
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.write(data);
+    await handle.datasync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempFile, file);
+}
+
+async function ensureDirectories() {
+  await fs.mkdir(path.dirname(MEMORY_FILE), { recursive: true });
+  await fs.mkdir(PERSISTENT_DIR, { recursive: true });
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+}
+
+// The primary must answer: an unreachable or unreadable primary stops
+// startup, since serving (and later saving) an empty brain would overwrite
+// what it holds. Only when the primary is reachable but empty is it seeded,
+// from the first mirror holding memory or else the bundled data/memory.json.
+async function loadMemory() {
+  await ensureDirectories();
+
+  const { primary, mirrors } = getStorage();
+  let loaded;
+  try {
+    loaded = await primary.load();
+  } catch (err) {
+    throw storageError('STORAGE_UNAVAILABLE', `Primary storage (${primary.name}) could not be read: ${err.message}`);
+  }
+  if (loaded && !isMemoryDocument(loaded)) {
+    throw storageError('STORAGE_UNAVAILABLE', `Primary storage (${primary.name}) does not hold a memory document`);
+  }
+
+  let seededFrom = null;
+  if (!loaded) {
+    for (const mirror of mirrors) {
+      try {
+        const candidate = await mirror.load();
+        if (candidate && isMemoryDocument(candidate)) {
+          loaded = candidate;
+          seededFrom = mirror.name;
+          break;
+        }
+      } catch (err) {
+        logger.warn('Failed to read storage mirror', { backend: mirror.name, error: err.message });
+      }
+    }
+  }
+
+  if (!loaded) {
+    try {
+      const bundled = JSON.parse(await fs.readFile(MEMORY_FILE, 'utf8'));
+      if (isMemoryDocument(bundled)) {
+        loaded = bundled;
+        seededFrom = 'bundled';
+      }
+    } catch (err) {
+      // No bundled memory
+    }
+  }
+
+  if (loaded) {
+    if (prepareMemory(loaded)) {
+      pgStore?.markAll();
+      queueSave();
+    }
+    globalMemory = loaded;
+    if (seededFrom) {
+      logger.info('Seeding primary storage', { primary: primary.name, from: seededFrom });
+      queueSave();
+    }
+  } else {
+    logger.info('No existing memory found, starting fresh', { primary: primary.name });
+  }
+
+  // Patterns learned after the snapshot was taken
+  try {
+    const replayed = await learningJournal.replay(globalMemory);
+    if (replayed > 0) {
+      logger.info('Learning journal replayed', { events: replayed, journalSeq: globalMemory.journalSeq });
+      queueSave();
+    }
+  } catch (error) {
+    logger.error('Error replaying learning journal', error);
+  }
+
+  knowledgeIndex.rebuild(globalMemory);
+  logger.info('Memory loaded successfully', {
+    primary: primary.name,
+    mirrors: mirrors.map(mirror => mirror.name),
+    contextPairs: globalMemory.contextPairs.length,
+    clusters: Object.keys(globalMemory.semanticClusters).length,
+    indexedInputs: knowledgeIndex.size,
+    journalSeq: globalMemory.journalSeq || 0,
+    stats: globalMemory.stats
+  });
+}
+
+async function saveToAdapter(adapter, memoryStr) {
+  const start = Date.now();
+  try {
+    const written = await adapter.save(globalMemory, memoryStr);
+    metrics.recordSave(adapter.name, (Date.now() - start) / 1000);
+    return written;
+  } catch (err) {
+    metrics.recordSave(adapter.name, (Date.now() - start) / 1000, false);
+    throw err;
+  }
+}
+
+// Compaction: write a snapshot to the primary and every mirror, then drop the
+// journal events it covers. A failed primary fails the save; a failed mirror
+// only keeps the journal until the next save reaches it.
+async function saveMemory() {
+  try {
+    const { primary, mirrors } = getStorage();
+    const journalSeq = globalMemory.journalSeq || 0;
+    const memoryStr = JSON.stringify(globalMemory);
+    lastSnapshotBytes = Buffer.byteLength(memoryStr);
+
+    const written = await saveToAdapter(primary, memoryStr);
+    const mirrored = await Promise.all(mirrors.map(mirror => saveToAdapter(mirror, memoryStr).then(() => true, err => {
+      logger.warn('Failed to save memory to storage mirror', { backend: mirror.name, error: err.message });
+      return false;
+    })));
+
+    if (mirrored.every(Boolean)) {
+      const compacted = await learningJournal.compact(journalSeq);
+      logger.info('Memory saved successfully', { primary: primary.name, journalSeq, ...written, ...compacted });
+    } else {
+      logger.warn('Memory snapshot incomplete, journal kept', { journalSeq });
+    }
+  } catch (error) {
+    logger.error('Failed to save memory', error);
+    throw error;
+  }
+}
+
+// Save now, after any save already in flight, and wait for the result
+function saveNow() {
+  const run = saveQueue.then(() => saveMemory());
+  saveQueue = run.catch(err => logger.error('Save failed', err));
+  return run;
+}
+
+function queueSave() {
+  if (saveScheduled || savesDisabled) return;
+  saveScheduled = true;
+
+  setImmediate(() => {
+    saveQueue = saveQueue.then(async () => {
+      saveScheduled = false;
+      await saveMemory();
+    }).catch(err => {
+      saveScheduled = false;
+      logger.error('Queued save failed', err);
+    });
+  });
+}
+
+// Create backups
+
+// ============================================================================
+// BACKUP CATALOG
+// ============================================================================
+
+const BACKUP_MANIFEST_FILE = path.join(BACKUP_DIR, 'manifest.json');
+const BACKUP_NAME_PATTERN = /^memory-[\w-]+\.json$/;
+
+function backupError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Backups are full memory snapshots in BACKUP_DIR. manifest.json records a
+// SHA-256 checksum and entry counts for each, so a copy can be verified
+// before it is trusted; files made before the manifest existed are listed as
+// uncatalogued.
+class BackupCatalog {
+  static describe(memory) {
+    return {
+      schemaVersion: memory.schemaVersion || 0,
+      journalSeq: memory.journalSeq || 0,
+      contextPairs: memory.contextPairs.length,
+      clusters: Object.keys(memory.semanticClusters).length,
+      clusterEntries: Object.values(memory.semanticClusters).reduce((sum, cluster) => sum + cluster.length, 0)
+    };
+  }
+
+  static async readManifest() {
+    try {
+      const manifest = JSON.parse(await fs.readFile(BACKUP_MANIFEST_FILE, 'utf8'));
+      return Array.isArray(manifest.backups) ? manifest : { backups: [] };
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Backup manifest unreadable, starting a new one', { error: err.message });
+      return { backups: [] };
+    }
+  }
+
+  static writeManifest(manifest) {
+    return writeFileDurable(BACKUP_MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  }
+
+  static filePath(name) {
+    if (!BACKUP_NAME_PATTERN.test(name) || path.basename(name) !== name) {
+      throw backupError('BACKUP_NOT_FOUND', `Unknown backup: ${name}`);
+    }
+    return path.join(BACKUP_DIR, name);
+  }
+
+  static checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  // Snapshot the live memory into a new catalogued backup, then prune
+  static async create(reason = 'scheduled') {
+    const createdAt = new Date();
+    const name = `memory-${createdAt.toISOString().replace(/[:.]/g, '-')}.json`;
+    const data = JSON.stringify(globalMemory);
+    const entry = {
+      name,
+      createdAt: createdAt.toISOString(),
+      reason,
+      bytes: Buffer.byteLength(data),
+      sha256: this.checksum(data),
+      ...this.describe(globalMemory)
+    };
+
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    await writeFileDurable(path.join(BACKUP_DIR, name), data);
+
+    const manifest = await this.readManifest();
+    manifest.backups = manifest.backups.filter(backup => backup.name !== name).concat(entry);
+    await this.prune(manifest);
+    await this.writeManifest(manifest);
+
+    logger.info('Backup created', { file: name, reason, sha256: entry.sha256 });
+    return entry;
+  }
+
+  static async prune(manifest) {
+    const backups = await this.list(manifest);
+    for (const backup of backups.slice(CONFIG.MAX_BACKUPS)) {
+      await fs.unlink(path.join(BACKUP_DIR, backup.name)).catch(() => {});
+      logger.info('Old backup removed', { file: backup.name });
+    }
+    const kept = new Set(backups.slice(0, CONFIG.MAX_BACKUPS).map(backup => backup.name));
+    manifest.backups = manifest.backups.filter(backup => kept.has(backup.name));
+  }
+
+  // Every backup file on disk, newest first, with its manifest record if any
+  static async list(manifest) {
+    manifest = manifest || await this.readManifest();
+    const catalogued = new Map(manifest.backups.map(backup => [backup.name, backup]));
+
+    let files = [];
+    try {
+      files = (await fs.readdir(BACKUP_DIR)).filter(name => BACKUP_NAME_PATTERN.test(name));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const backups = await Promise.all(files.map(async (name) => {
+      const record = catalogued.get(name);
+      if (record) return { ...record, catalogued: true };
+
+      const stat = await fs.stat(path.join(BACKUP_DIR, name));
+      return { name, createdAt: stat.mtime.toISOString(), bytes: stat.size, catalogued: false };
+    }));
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Read a backup and check it against its manifest record
+  static async inspect(name) {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath(name), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'BACKUP_NOT_FOUND') {
+        throw backupError('BACKUP_NOT_FOUND', `Unknown backup: ${name}`);
+      }
+      throw err;
+    }
+
+    const manifest = await this.readManifest();
+    const record = manifest.backups.find(backup => backup.name === name);
+    const sha256 = this.checksum(data);
+    const problems = [];
+    let memory = null;
+
+    if (record && record.sha256 !== sha256) problems.push('checksum mismatch');
+
+    try {
+      memory = JSON.parse(data);
+    } catch (err) {
+      problems.push('not valid JSON');
+    }
+
+    if (memory && !isMemoryDocument(memory)) {
+      problems.push('missing stats, contextPairs or semanticClusters');
+      memory = null;
+    }
+
+    if (memory) {
+      const counts = this.describe(memory);
+      if (record && ['contextPairs', 'clusters', 'clusterEntries'].some(key => record[key] !== counts[key])) {
+        problems.push('entry counts differ from manifest');
+      }
+      if (counts.schemaVersion > MEMORY_SCHEMA_VERSION) {
+        problems.push(`schema v${counts.schemaVersion} is newer than this build supports (v${MEMORY_SCHEMA_VERSION})`);
+      }
+    }
+
+    return {
+      report: { name, catalogued: Boolean(record), ok: problems.length === 0, sha256, bytes: Buffer.byteLength(data), problems },
+      memory
+    };
+  }
+
+  static async verify(name) {
+    return (await this.inspect(name)).report;
+  }
+
+  // Swap the live memory for a verified backup without a restart. The current
+  // state is backed up first, and every journaled event so far is treated as
+  // superseded so a later replay cannot resurrect it.
+  static async restore(name) {
+    if (savesDisabled) throw backupError('MEMORY_READ_ONLY', 'Memory is read-only; restore is disabled');
+
+    const { report, memory } = await this.inspect(name);
+    if (!report.ok) {
+      const error = backupError('BACKUP_INVALID', `Backup ${name} failed verification`);
+      error.problems = report.problems;
+      throw error;
+    }
+
+    prepareMemory(memory);
+    const safety = await this.create('pre-restore');
+
+    // Knowledge rolls back; issued and revoked API keys do not
+    memory.apiKeys = globalMemory.apiKeys;
+    memory.journalSeq = learningJournal.seq;
+    globalMemory = memory;
+    knowledgeIndex.rebuild(globalMemory);
+    responseCache.clear();
+    pgStore?.markAll();
+    await saveNow();
+
+    logger.info('Backup restored', { file: name, safetyBackup: safety.name, ...this.describe(globalMemory) });
+    return { restored: name, safetyBackup: safety.name, ...this.describe(globalMemory) };
+  }
+
+  static knowledgeKeys(memory) {
+    const keys = new Map();
+    const add = (entry) => {
+      const key = `${entry.input}\0${entry.response}`;
+      if (!keys.has(key)) keys.set(key, { input: entry.input, response: entry.response, quality: entry.quality });
+    };
+    memory.contextPairs.forEach(add);
+    Object.values(memory.semanticClusters).forEach(cluster => cluster.forEach(add));
+    return keys;
+  }
+
+  static async loadForDiff(name) {
+    if (name === 'current') return globalMemory;
+    const { memory } = await this.inspect(name);
+    if (!memory) throw backupError('BACKUP_INVALID', `Backup ${name} is unreadable`);
+    return memory;
+  }
+
+  // Input/response pairs present in one snapshot but not the other. Either
+  // side may be "current" for the live memory.
+  static async diff(from, to) {
+    const before = this.knowledgeKeys(await this.loadForDiff(from));
+    const after = this.knowledgeKeys(await this.loadForDiff(to));
+
+    const added = [];
+    const removed = [];
+    for (const [key, pair] of after) if (!before.has(key)) added.push(pair);
+    for (const [key, pair] of before) if (!after.has(key)) removed.push(pair);
+
+    return { from, to, added, removed, unchanged: after.size - added.length };
+  }
+}
+
+// Scheduled and shutdown backups must never take the server down with them
+async function createBackup(reason) {
+  try {
+    return await BackupCatalog.create(reason);
+  } catch (error) {
+    logger.error('Backup creation failed', error);
+    return null;
+  }
+}
+
+// ============================================================================
+// GRACEFUL SHUTDOWN
+// ============================================================================
+
+async function gracefulShutdown(signal) {
+  logger.info('Shutdown signal received', { signal });
+
+  if (savesDisabled) {
+    process.exit(0);
+  }
+
+  try {
+    await saveQueue;
+    await saveMemory();
+    await createBackup('shutdown');
+    logger.info('Graceful shutdown completed');
+  } catch (err) {
+    logger.error('Error during shutdown', err);
+  }
+
+  try {
+    await learningJournal.close();
+  } catch (err) {
+    logger.error('Final journal flush failed', err);
+  }
+
+  await transcriptStore.flush();
+  await closeStorage();
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2'));
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+const API_KEY_SCOPES = ['chat', 'learn', 'admin'];
+const API_KEY_PREFIX = 'tai_';
+
+// Keys for programmatic clients, kept in globalMemory.apiKeys so they persist
+// wherever memory does. A key is "tai_<id>_<secret>"; only its SHA-256 is
+// stored. Each key has its own per-minute rate limit, a daily quota (UTC
+// days) and scopes: chat (talk to the bot), learn (its conversations may
+// teach the bot) and admin (the curator API).
+class ApiKeyManager {
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  static keys() {
+    if (!Array.isArray(globalMemory.apiKeys)) globalMemory.apiKeys = [];
+    return globalMemory.apiKeys;
+  }
+
+  // The plain key is only ever returned from here
+  static create({ name, scopes, rateLimit, dailyQuota }) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `${API_KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id,
+      name,
+      hash: this.hash(key),
+      scopes,
+      rateLimit,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      totalRequests: 0,
+      usage: { day: this.today(), requests: 0 }
+    };
+
+    this.keys().push(record);
+    return { key, record };
+  }
+
+  static revoke(id) {
+    const record = this.keys().find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) record.revokedAt = new Date().toISOString();
+    return record;
+  }
 
-    for (const pattern of suspiciousPatterns) {
-      if (pattern.test(message)) {
-        return { valid: false, error: 'Message contains suspicious content' };
-      }
-    }
+  static describe(record) {
+    const { hash, ...visible } = record;
+    const usedToday = record.usage.day === this.today() ? record.usage.requests : 0;
+    return { ...visible, usedToday, remainingToday: Math.max(0, record.dailyQuota - usedToday) };
+  }
 
-    return { valid: true, message: trimmed };
+  // The live record for a presented key, or null when unknown or revoked
+  static authenticate(key) {
+    const match = /^tai_([0-9a-f]+)_/.exec(key);
+    const record = match && this.keys().find(k => k.id === match[1]);
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(this.hash(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
   }
 
-  static validateSessionId(sessionId) {
-    if (typeof sessionId !== 'string') {
-      return { valid: false, error: 'Session ID must be a string' };
-    }
+  // Count a request against the key's daily quota; false once it is used up
+  static consume(record) {
+    const today = this.today();
+    if (record.usage.day !== today) record.usage = { day: today, requests: 0 };
+    if (record.usage.requests >= record.dailyQuota) return false;
 
-    // Session ID should be alphanumeric with underscores
-    if (!/^[a-zA-Z0-9_-]{1,100}$/.test(sessionId)) {
-      return { valid: false, error: 'Invalid session ID format' };
+    record.usage.requests++;
+    record.totalRequests++;
+    record.lastUsedAt = new Date().toISOString();
+    return true;
+  }
+
+  static hasScope(record, scope) {
+    return record.scopes.includes(scope);
+  }
+
+  // Validates an admin create request; returns { error } or { options }
+  static parseOptions(body = {}) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'name must be 1-100 characters' };
+
+    const scopes = body.scopes === undefined ? ['chat'] : body.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      return { error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
     }
 
-    return { valid: true, sessionId };
+    const rateLimit = body.rateLimit === undefined ? CONFIG.API_KEY_RATE_LIMIT : body.rateLimit;
+    const dailyQuota = body.dailyQuota === undefined ? CONFIG.API_KEY_DAILY_QUOTA : body.dailyQuota;
+    if (!Number.isInteger(rateLimit) || rateLimit < 1) return { error: 'rateLimit must be a positive integer (requests per minute)' };
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1) return { error: 'dailyQuota must be a positive integer' };
+
+    return { options: { name, scopes: Array.from(new Set(scopes)), rateLimit, dailyQuota } };
   }
 }
 
+// Anonymous callers are allowed; a caller presenting a key must hold the scope
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !ApiKeyManager.hasScope(req.apiKey, scope)) {
+      metrics.recordApiKeyRequest(req.apiKey.id, 'forbidden');
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
 // ============================================================================
-// TEXT PROCESSING UTILITIES
+// MIDDLEWARE
 // ============================================================================
 
-class TextCleaner {
-  static clean(text) {
-    if (!text) return '';
-    
-    // Remove common conversation prefixes
-    let cleaned = text.trim();
-    
-    // Remove patterns like "Human 1:", "Human 2:", "Person A:", "Speaker 1:", etc.
-    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*[0-9]+\s*:\s*/i, '');
-    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*[A-Z]\s*:\s*/i, '');
-    
-    // Remove just "Human:", "Person:", etc.
-    cleaned = cleaned.replace(/^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*:\s*/i, '');
-    
-    // Remove leading/trailing quotes that might be artifacts
-    cleaned = cleaned.replace(/^["']|["']$/g, '');
-    
-    // Normalize whitespace
-    cleaned = cleaned.replace(/\s+/g, ' ').trim();
-    
-    return cleaned.substring(0, CONFIG.MAX_MESSAGE_LENGTH);
-  }
+app.set('trust proxy', CONFIG.TRUST_PROXY);
 
-  static normalize(text) {
-    return text.toLowerCase().trim();
-  }
-}
+// Request ID middleware
+app.use((req, res, next) => {
+  const requestId = crypto.randomBytes(16).toString('hex');
+  req.requestId = requestId;
+  res.setHeader('X-Request-ID', requestId);
+  next();
+});
 
-// Profanity detection with leet-speak and obfuscation handling
-const DEFAULT_BANNED_WORDS = new Set([
-  'fuck','fucker','fucking','shit','bitch','bastard','asshole','dick','douche','cunt','whore','slut',
-  'nigger','nigga','faggot','fag','retard','spaz','kys'
-]);
+// Logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.setRequestId(req.requestId).info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration
+    });
 
-function normalizeForProfanity(text) {
-  if (!text) return { original: '', lettersOnly: '', collapsed: '' };
-  let normalized = text.normalize('NFKC').toLowerCase();
+    // Label by route pattern, not raw path, to keep series bounded
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.recordHttpRequest(req.method, route, res.statusCode, duration / 1000);
+  });
   
-  // Remove diacritics
-  normalized = normalized.replace(/\p{M}/gu, '');
+  next();
+});
+
+// Body parser with size limit
+app.use(bodyParser.json({ limit: '10mb' }));
 
-  // Handle leet speak
-  const leetMap = { '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '8': 'b' };
-  for (const [k, v] of Object.entries(leetMap)) {
-    normalized = normalized.replace(new RegExp(k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), v);
+// API key middleware. "Authorization: Bearer tai_..." identifies a client;
+// any other bearer token is left for requireAdmin.
+app.use((req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token.startsWith(API_KEY_PREFIX)) return next();
+
+  const record = ApiKeyManager.authenticate(token);
+  if (!record) {
+    logger.setRequestId(req.requestId).warn('Rejected API key', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
   }
 
-  const lettersOnly = normalized.replace(/[^a-z]/g, '');
-  const collapsed = lettersOnly.replace(/(.)\1{2,}/g, '$1$1');
-  return { original: normalized, lettersOnly, collapsed };
-}
+  req.apiKey = record;
+  next();
+});
+
+// Rate limiting middleware. Keyed clients get their own bucket and limit
+// instead of sharing their IP's.
+app.use((req, res, next) => {
+  const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+  const identifier = req.apiKey ? `key:${req.apiKey.id}` : ip;
+  const max = req.apiKey ? req.apiKey.rateLimit : CONFIG.RATE_LIMIT_MAX_REQUESTS;
+  const result = rateLimiter.check(identifier, max);
 
-function containsProfanity(text) {
-  if (!text) return { found: false, matches: [] };
-  const lower = text.toLowerCase();
-  const matches = new Set();
+  res.setHeader('X-RateLimit-Limit', max);
+  res.setHeader('X-RateLimit-Remaining', result.remaining);
 
-  // Direct word boundary matching
-  for (const word of DEFAULT_BANNED_WORDS) {
-    const re = new RegExp('\\b' + word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-    if (re.test(lower)) matches.add(word);
+  if (!result.allowed) {
+    res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
+    logger.setRequestId(req.requestId).warn('Rate limit exceeded', { ip, apiKey: req.apiKey?.id, path: req.path });
+    if (req.apiKey) metrics.recordApiKeyRequest(req.apiKey.id, 'rate_limited');
+    return res.status(429).json({
+      error: 'Too many requests',
+      retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
+    });
   }
 
-  // Check obfuscated versions
-  const { lettersOnly, collapsed } = normalizeForProfanity(text);
-  for (const word of DEFAULT_BANNED_WORDS) {
-    if (collapsed.includes(word) || lettersOnly.includes(word)) matches.add(word);
+  if (req.apiKey) {
+    if (!ApiKeyManager.consume(req.apiKey)) {
+      metrics.recordApiKeyRequest(req.apiKey.id, 'quota_exceeded');
+      return res.status(429).json({ error: 'Daily quota exceeded for this API key' });
+    }
+    metrics.recordApiKeyRequest(req.apiKey.id, 'allowed');
+    res.setHeader('X-Quota-Remaining', req.apiKey.dailyQuota - req.apiKey.usage.requests);
   }
 
-  return { found: matches.size > 0, matches: Array.from(matches) };
-}
+  next();
+});
 
-class GarbageClassifier {
-  static isGarbage(text) {
-    const lower = text.toLowerCase().trim();
-
-    // Stricter length requirements
-    if (lower.length < 1 || lower.length > 500) return true;
-
-    // Stricter special character filtering
-    const specialCharRatio = (text.match(/[^a-zA-Z0-9\s.,!?'-]/g) || []).length / text.length;
-    if (specialCharRatio > 0.3) return true;
-
-    // Spam patterns
-    const spamPatterns = [
-      /click here/i,
-      /buy now/i,
-      /limited time/i,
-      /act now/i,
-      /free money/i,
-      /\b(viagra|cialis|casino)\b/i,
-      /http[s]?:\/\/[^\s]{20,}/i, // Long URLs
-      /(.)\1{5,}/, // Repeated characters
-      /\d{5,}/, // Long number sequences
-      /\b(subscribe|follow me|check out my)\b/i,
-    ];
+// CORS middleware
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  
+  if (CONFIG.ALLOWED_ORIGINS.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && CONFIG.ALLOWED_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+  }
+  
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Request-ID, X-History-Token, Authorization');
+  res.header('Access-Control-Expose-Headers', 'X-Request-ID, X-RateLimit-Limit, X-RateLimit-Remaining');
+  
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(200);
+  }
+  
+  next();
+});
+
+// Security headers
+app.use((req, res, next) => {
+  res.header('X-Content-Type-Options', 'nosniff');
+  res.header('X-Frame-Options', 'DENY');
+  res.header('X-XSS-Protection', '1; mode=block');
+  res.header('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com;");
+  next();
+});
 
-    if (spamPatterns.some(pattern => pattern.test(text))) return true;
+app.use(express.static('public'));
 
-    // Offensive/harmful content
-    const harmfulPatterns = [
-      /\b(kill yourself|kys)\b/i
-    ];
+// ============================================================================
+// CORPUS IMPORT
+// ============================================================================
 
-    if (harmfulPatterns.some(pattern => pattern.test(text))) return true;
+// Line-oriented parsers for dialogue corpora. Each takes one line at a time
+// and returns the { input, response, line } pairs it completed, so files of
+// any size can be streamed.
 
-    // Centralized profanity detection
-    const profanity = containsProfanity(text);
-    if (profanity.found) return true;
+class JsonlPairParser {
+  push(text, line) {
+    if (!text.trim()) return [];
 
-    // Stricter shouting detection
-    const words = text.split(/\s+/);
-    const upperWords = words.filter(w => w === w.toUpperCase() && w.length > 1);
-    if (upperWords.length / words.length > 0.6) return true;
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (err) {
+      return [{ error: 'parse_error', line }];
+    }
 
-    // Filter gibberish - too few vowels (but allow short common responses)
-    // Don't apply vowel check to very short messages (1-3 chars like "ok", "hi", "no")
-    const vowelRatio = (lower.match(/[aeiou]/g) || []).length / lower.length;
-    if (vowelRatio < 0.15 && lower.length > 4) return true;
+    if (!record || typeof record.input !== 'string' || typeof record.response !== 'string') {
+      return [{ error: 'missing_fields', line }];
+    }
+    return [{ input: record.input, response: record.response, line }];
+  }
 
-    return false;
+  end() {
+    return [];
   }
+}
 
-  static containsProfanity(text) {
-    return containsProfanity(text);
+// RFC 4180 CSV with a header row. Uses the "input" and "response" columns
+// when present, otherwise the first two. Quoted fields may span lines.
+class CsvPairParser {
+  constructor() {
+    this.header = null;
+    this.fields = [];
+    this.field = '';
+    this.inQuotes = false;
+    this.startLine = null;
   }
 
-  static calculateQuality(input, response) {
-    let score = 50; // Base score - accept natural conversation
+  push(text, line) {
+    if (this.startLine === null) {
+      if (!text.trim()) return [];
+      this.startLine = line;
+    }
 
-    const inputWords = input.split(/\s+/).length;
-    const responseWords = response.split(/\s+/).length;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (this.inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          this.field += '"';
+          i++;
+        } else if (ch === '"') {
+          this.inQuotes = false;
+        } else {
+          this.field += ch;
+        }
+      } else if (ch === '"') {
+        this.inQuotes = true;
+      } else if (ch === ',') {
+        this.fields.push(this.field);
+        this.field = '';
+      } else {
+        this.field += ch;
+      }
+    }
 
-    // Accept all reasonable lengths - humans talk in varied ways
-    if (inputWords >= 1 && inputWords <= 50) score += 15;
-    if (responseWords >= 1 && responseWords <= 100) score += 15;
+    if (this.inQuotes) {
+      // Record continues on the next line
+      this.field += '\n';
+      return [];
+    }
 
-    // Bonus for multi-word responses (but don't penalize short ones)
-    if (responseWords >= 3 && responseWords <= 20) score += 10;
+    return this._completeRecord();
+  }
 
-    // Bonus for punctuation
-    if (response.match(/[.!?]$/)) score += 5;
+  _completeRecord() {
+    this.fields.push(this.field);
+    const fields = this.fields;
+    const line = this.startLine;
+    this.fields = [];
+    this.field = '';
+    this.startLine = null;
+
+    if (!this.header) {
+      const names = fields.map(name => name.trim().toLowerCase());
+      const input = names.indexOf('input');
+      const response = names.indexOf('response');
+      this.header = input !== -1 && response !== -1
+        ? { input, response }
+        : { input: 0, response: 1 };
+      return [];
+    }
 
-    // Small bonus for variety (not just repeating same word)
-    if (input.toLowerCase() !== response.toLowerCase()) score += 5;
+    if (fields.length <= Math.max(this.header.input, this.header.response)) {
+      return [{ error: 'missing_fields', line }];
+    }
+    return [{ input: fields[this.header.input], response: fields[this.header.response], line }];
+  }
 
-    return Math.max(0, Math.min(100, score));
+  end() {
+    if (this.startLine === null) return [];
+    if (this.inQuotes) return [{ error: 'parse_error', line: this.startLine }];
+    return this._completeRecord();
   }
 }
 
-// ============================================================================
-// INTELLIGENT LEARNING SYSTEM
-// ============================================================================
+// Multi-turn transcripts with speaker prefixes ("Human 1:", "Speaker A:",
+// "User:"). Each turn becomes the response to the one before it; a blank line
+// starts a new dialogue. Unprefixed lines continue the current turn.
+const SPEAKER_PREFIX = /^(Human|Person|Speaker|User|Assistant|AI|Bot)\s*([0-9]+|[A-Z])?\s*:/i;
 
-class IntelligentLearner {
-  static extractKeywords(text) {
-    // Remove common stop words
-    const stopWords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 
-      'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 
-      'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 
-      'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 
-      'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which', 
-      'who', 'when', 'where', 'why', 'how'
-    ]);
-    
-    const words = text.toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .split(/\s+/)
-      .filter(w => w.length > 2 && !stopWords.has(w));
-    
-    return [...new Set(words)];
+class TranscriptPairParser {
+  constructor() {
+    this.previous = null;
+    this.current = null;
   }
 
-  static learnPattern(input, response, quality) {
-    const keywords = this.extractKeywords(input);
-    const inputLower = input.toLowerCase();
+  push(text, line) {
+    if (!text.trim()) {
+      const pairs = this._flushTurn();
+      this.previous = null;
+      return pairs;
+    }
 
-    // Create semantic clusters with relearning support
-    keywords.forEach(keyword => {
-      if (!globalMemory.semanticClusters[keyword]) {
-        globalMemory.semanticClusters[keyword] = [];
-      }
+    if (SPEAKER_PREFIX.test(text.trim()) || !this.current) {
+      const pairs = this._flushTurn();
+      this.current = { text, line };
+      return pairs;
+    }
 
-      // Check if this exact input already exists
-      const existingIndex = globalMemory.semanticClusters[keyword].findIndex(
-        item => item.input === inputLower
-      );
+    this.current.text += ' ' + text.trim();
+    return [];
+  }
 
-      if (existingIndex !== -1) {
-        const existing = globalMemory.semanticClusters[keyword][existingIndex];
+  _flushTurn() {
+    if (!this.current) return [];
 
-        // If same response, reinforce it (increase confidence)
-        if (existing.response === response) {
-          existing.confidence = (existing.confidence || 1) + 1;
-          existing.quality = Math.min(100, existing.quality + 2); // Small quality boost
-          existing.timestamp = Date.now();
-        } else {
-          // Different response - only replace if new quality is significantly better
-          // OR if pattern is old (allow relearning over time)
-          const ageInDays = (Date.now() - existing.timestamp) / (1000 * 60 * 60 * 24);
+    const pairs = this.previous
+      ? [{ input: this.previous.text, response: this.current.text, line: this.current.line }]
+      : [];
+    this.previous = this.current;
+    this.current = null;
+    return pairs;
+  }
 
-          if (quality > existing.quality + 10 || ageInDays > 30) {
-            // Replace with new pattern
-            globalMemory.semanticClusters[keyword][existingIndex] = {
-              input: inputLower,
-              response,
-              quality,
-              confidence: 1,
-              timestamp: Date.now()
-            };
-          }
-          // Otherwise keep existing (it's more confident)
-        }
-      } else {
-        // New pattern
-        globalMemory.semanticClusters[keyword].push({
-          input: inputLower,
-          response,
-          quality,
-          confidence: 1,
-          timestamp: Date.now()
-        });
-      }
+  end() {
+    return this._flushTurn();
+  }
+}
 
-      // Keep only top 20 highest quality responses per keyword
-      globalMemory.semanticClusters[keyword].sort((a, b) => {
-        const scoreA = a.quality * (a.confidence || 1);
-        const scoreB = b.quality * (b.confidence || 1);
-        return scoreB - scoreA;
-      });
-      if (globalMemory.semanticClusters[keyword].length > 20) {
-        globalMemory.semanticClusters[keyword] = globalMemory.semanticClusters[keyword].slice(0, 20);
-      }
-    });
+const IMPORT_PARSERS = {
+  jsonl: JsonlPairParser,
+  csv: CsvPairParser,
+  transcript: TranscriptPairParser
+};
 
-    // Store high-quality pairs separately with relearning
-    if (quality >= 60) {
-      const existingPairIndex = globalMemory.contextPairs.findIndex(
-        pair => pair.input === inputLower
-      );
+const IMPORT_CONTENT_TYPES = {
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'application/x-jsonlines': 'jsonl',
+  'text/csv': 'csv',
+  'text/plain': 'transcript'
+};
 
-      if (existingPairIndex !== -1) {
-        const existing = globalMemory.contextPairs[existingPairIndex];
+// Runs every parsed pair through the same cleaning, garbage and quality
+// gates as live learning, and learns the survivors unless dryRun is set
+class CorpusImporter {
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
+    this.report = {
+      dryRun,
+      lines: 0,
+      accepted: 0,
+      rejected: 0,
+      reasons: {},
+      rejections: []
+    };
+  }
 
-        if (existing.response === response) {
-          // Reinforce
-          existing.confidence = (existing.confidence || 1) + 1;
-          existing.quality = Math.min(100, existing.quality + 2);
-          existing.timestamp = Date.now();
-        } else {
-          const ageInDays = (Date.now() - existing.timestamp) / (1000 * 60 * 60 * 24);
-          if (quality > existing.quality + 10 || ageInDays > 30) {
-            globalMemory.contextPairs[existingPairIndex] = {
-              input: inputLower,
-              response,
-              quality,
-              confidence: 1,
-              timestamp: Date.now()
-            };
-          }
-        }
-      } else {
-        // New high-quality pair
-        globalMemory.contextPairs.push({
-          input: inputLower,
-          response,
-          quality,
-          confidence: 1,
-          timestamp: Date.now()
-        });
-      }
+  _reject(reason, line, pair = {}) {
+    this.report.rejected++;
+    this.report.reasons[reason] = (this.report.reasons[reason] || 0) + 1;
+    if (this.report.rejections.length < CONFIG.IMPORT_MAX_REJECTION_SAMPLES) {
+      this.report.rejections.push({ line, reason, input: pair.input, response: pair.response, rules: pair.rules });
+    }
+  }
 
-      // Limit to top 1000 pairs
-      if (globalMemory.contextPairs.length > 1000) {
-        globalMemory.contextPairs.sort((a, b) => {
-          const scoreA = b.quality * (b.confidence || 1);
-          const scoreB = a.quality * (a.confidence || 1);
-          return scoreA - scoreB;
-        });
-        globalMemory.contextPairs = globalMemory.contextPairs.slice(0, 1000);
-      }
+  consider(pair) {
+    if (pair.error) {
+      this._reject(pair.error, pair.line);
+      return;
     }
 
-    // Update quality scores
-    globalMemory.qualityScores[inputLower] = quality;
-  }
+    const input = TextCleaner.clean(pair.input);
+    const response = TextCleaner.clean(pair.response);
 
-  static findBestResponse(input) {
-    // Optional caching layer (improvement over original)
-    const cached = responseCache.get(input);
-    if (cached) {
-      metrics.recordCacheHit();
-      return cached;
+    if (!input || !response) {
+      this._reject('empty', pair.line, { input, response });
+      return;
+    }
+    // Imports only teach, so anything chat would not learn from is rejected
+    for (const [side, text] of [['input', input], ['response', response]]) {
+      const verdict = GarbageClassifier.evaluate(text);
+      if (!verdict.learnable) {
+        if (!this.dryRun) verdict.fired.forEach(rule => metrics.recordGarbage(rule, 'import'));
+        this._reject(`garbage_${side}`, pair.line, { input, response, rules: verdict.fired });
+        return;
+      }
     }
-    metrics.recordCacheMiss();
 
-    const keywords = this.extractKeywords(input);
-    const inputLower = input.toLowerCase();
-    
-    let candidates = [];
-    
-    // 1. Try exact match first
-    const exactMatch = globalMemory.contextPairs.find(pair => 
-      pair.input === inputLower
-    );
-    if (exactMatch) {
-      // Cache the result before returning
-      responseCache.set(input, exactMatch.response);
-      return exactMatch.response;
+    const scorer = getQualityScorer();
+    if (!scorer.accepts(input, response)) {
+      this._reject('low_quality', pair.line, { input, response });
+      return;
     }
-    
-    // 2. Try semantic cluster matching
-    keywords.forEach(keyword => {
-      if (globalMemory.semanticClusters[keyword]) {
-        candidates = candidates.concat(globalMemory.semanticClusters[keyword]);
+    const quality = scorer.score(input, response);
+
+    this.report.accepted++;
+    if (!this.dryRun) {
+      IntelligentLearner.learnPattern(input, response, quality, { counter: 'trainingDataPoints' });
+      metrics.recordLearning('import');
+    }
+  }
+
+  // Reads the stream line by line; resolves with the report. Stops early and
+  // sets report.truncated once maxBytes have been read.
+  async importStream(stream, format, { maxBytes = CONFIG.IMPORT_MAX_BYTES } = {}) {
+    const Parser = IMPORT_PARSERS[format];
+    const parser = new Parser();
+    let bytes = 0;
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    stream.on('data', chunk => {
+      bytes += chunk.length;
+      if (bytes > maxBytes && !this.report.truncated) {
+        this.report.truncated = true;
+        lines.close();
       }
     });
-    
-    // 3. Score candidates by relevance
-    if (candidates.length > 0) {
-      const scored = candidates.map(candidate => {
-        const candidateKeywords = this.extractKeywords(candidate.input);
-        const overlap = keywords.filter(k => candidateKeywords.includes(k)).length;
-        const relevanceScore = overlap / Math.max(keywords.length, 1);
-        
-        return {
-          ...candidate,
-          relevanceScore: relevanceScore * candidate.quality
-        };
-      });
-      
-      scored.sort((a, b) => b.relevanceScore - a.relevanceScore);
-      
-      // Return if high enough confidence
-      if (scored[0].relevanceScore > 30) {
-        const response = scored[0].response;
-        // Cache the result before returning
-        responseCache.set(input, response);
-        return response;
-      }
+
+    for await (const text of lines) {
+      if (this.report.truncated) break;
+      this.report.lines++;
+      parser.push(text, this.report.lines).forEach(pair => this.consider(pair));
     }
-    
-    return null;
+
+    if (!this.report.truncated) {
+      parser.end().forEach(pair => this.consider(pair));
+    }
+
+    return this.report;
   }
 }
 
 // ============================================================================
-// SESSION MANAGEMENT
+// KNOWLEDGE EXPORT
 // ============================================================================
 
-class SessionManager {
-  constructor() {
-    this.sessions = new Map();
-    this.conversationBuffer = new Map();
+// Validates export options given as query parameters or CLI flags
+function parseExportFilters(params = {}) {
+  const format = params.format || 'jsonl';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
   }
 
-  updateActivity(sessionId) {
-    this.sessions.set(sessionId, Date.now());
+  const source = params.source || 'all';
+  if (!['pairs', 'clusters', 'all'].includes(source)) {
+    return { error: 'source must be one of: pairs, clusters, all' };
   }
 
-  getConversationHistory(sessionId) {
-    if (!this.conversationBuffer.has(sessionId)) {
-      this.conversationBuffer.set(sessionId, []);
-    }
-    return this.conversationBuffer.get(sessionId);
-  }
+  const numberParam = (name) => {
+    if (params[name] === undefined) return 0;
+    const value = Number(params[name]);
+    return Number.isFinite(value) ? value : NaN;
+  };
 
-  addToHistory(sessionId, userMessage, aiResponse) {
-    const history = this.getConversationHistory(sessionId);
-    history.push({
-      user: userMessage,
-      ai: aiResponse,
-      timestamp: Date.now()
-    });
+  const minQuality = numberParam('minQuality');
+  const minConfidence = numberParam('minConfidence');
+  if (Number.isNaN(minQuality) || Number.isNaN(minConfidence)) {
+    return { error: 'minQuality and minConfidence must be numbers' };
+  }
 
-    // Keep only recent history
-    if (history.length > CONFIG.MAX_CONVERSATION_HISTORY) {
-      history.shift();
+  let since = 0;
+  if (params.since !== undefined) {
+    since = /^\d+$/.test(params.since) ? Number(params.since) : Date.parse(params.since);
+    if (Number.isNaN(since)) {
+      return { error: 'since must be an ISO date or a millisecond timestamp' };
     }
   }
 
-  cleanup() {
-    const cutoff = Date.now() - CONFIG.SESSION_TIMEOUT_MS;
-    let cleaned = 0;
+  // Keywords are matched the way clusters are keyed
+  const keyword = params.keyword ? TextNormalizer.normalizeTerm(String(params.keyword).toLowerCase()) : null;
 
-    for (const [sessionId, lastActivity] of this.sessions.entries()) {
-      if (lastActivity < cutoff) {
-        this.sessions.delete(sessionId);
-        this.conversationBuffer.delete(sessionId);
-        cleaned++;
-      }
-    }
+  return { filters: { format, source, minQuality, minConfidence, since, keyword } };
+}
 
-    if (cleaned > 0) {
-      logger.info('Session cleanup', { cleaned, active: this.sessions.size });
+// Yields matching records one at a time so nothing is copied up front.
+// Cluster copies of an input/response already emitted are skipped.
+function* exportRecords(filters) {
+  const seen = new Set();
+  const digest = (entry) => crypto.createHash('md5')
+    .update(entry.input + '\u0000' + entry.response)
+    .digest('base64');
+
+  const accept = (entry) => {
+    if (entry.quality < filters.minQuality) return false;
+    if ((entry.confidence || 1) < filters.minConfidence) return false;
+    if (filters.since && (entry.timestamp || 0) < filters.since) return false;
+
+    const key = digest(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  const toRecord = (entry, source, keyword) => ({
+    input: entry.input,
+    response: entry.response,
+    quality: entry.quality,
+    confidence: entry.confidence || 1,
+    timestamp: entry.timestamp,
+    source,
+    keyword
+  });
+
+  if (filters.source !== 'clusters') {
+    for (const pair of globalMemory.contextPairs) {
+      if (filters.keyword && !IntelligentLearner.extractKeywords(pair.input).includes(filters.keyword)) continue;
+      if (accept(pair)) yield toRecord(pair, 'pair');
     }
+  }
 
-    // Enforce max sessions limit
-    if (this.sessions.size > CONFIG.MAX_SESSIONS) {
-      const entries = Array.from(this.sessions.entries())
-        .sort((a, b) => a[1] - b[1]);
-      
-      const toRemove = entries.slice(0, entries.length - CONFIG.MAX_SESSIONS);
-      for (const [sessionId] of toRemove) {
-        this.sessions.delete(sessionId);
-        this.conversationBuffer.delete(sessionId);
+  if (filters.source !== 'pairs') {
+    const keywords = filters.keyword ? [filters.keyword] : Object.keys(globalMemory.semanticClusters);
+    for (const keyword of keywords) {
+      for (const entry of globalMemory.semanticClusters[keyword] || []) {
+        if (accept(entry)) yield toRecord(entry, 'cluster', keyword);
       }
-      
-      logger.warn('Session limit enforced', { removed: toRemove.length });
     }
   }
+}
 
-  getActiveCount() {
-    return this.sessions.size;
-  }
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-const sessionManager = new SessionManager();
+// ParlAI text fields are tab separated, so tabs and newlines are escaped
+function parlaiField(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n');
+}
 
-// Cleanup sessions every minute
-setInterval(() => sessionManager.cleanup(), 60 * 1000);
+const EXPORT_FORMATS = {
+  jsonl: {
+    contentType: 'application/x-ndjson',
+    extension: 'jsonl',
+    header: '',
+    format: record => JSON.stringify(record) + '\n'
+  },
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    header: 'input,response,quality,confidence,timestamp,source,keyword\n',
+    format: record => [
+      record.input, record.response, record.quality, record.confidence,
+      record.timestamp, record.source, record.keyword
+    ].map(csvField).join(',') + '\n'
+  },
+  // ParlAI / ConvAI2 dialogue text: one single-turn episode per line
+  parlai: {
+    contentType: 'text/plain',
+    extension: 'txt',
+    header: '',
+    format: record => `text:${parlaiField(record.input)}\tlabels:${parlaiField(record.response)}\tepisode_done:True\n`
+  }
+};
+
+// Streams an export into any writable, honouring backpressure. Resolves with
+// the number of records written; stops early if the stream is destroyed.
+async function writeExport(stream, filters) {
+  const format = EXPORT_FORMATS[filters.format];
+  let buffer = format.header;
+  let count = 0;
+
+  const flush = async () => {
+    if (!buffer) return;
+    const ok = stream.write(buffer);
+    buffer = '';
+    if (!ok && !stream.destroyed) {
+      // Whichever comes first; the other listener must not pile up
+      await new Promise(resolve => {
+        const done = () => {
+          stream.off('drain', done);
+          stream.off('close', done);
+          resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+      });
+    }
+  };
+
+  for (const record of exportRecords(filters)) {
+    if (stream.destroyed) break;
+    buffer += format.format(record);
+    count++;
+    if (buffer.length >= 64 * 1024) await flush();
+  }
+
+  await flush();
+  return count;
+}
 
 // ============================================================================
-// MEMORY PERSISTENCE
+// ADMIN API
 // ============================================================================
 
-let globalMemory = {
-  patterns: {},
-  contextPairs: [],
-  semanticClusters: {},
-  qualityScores: {},
-  stats: {
-    totalMessages: 0,
-    totalConversations: 0,
-    trainingDataPoints: 0,
-    garbageFiltered: 0,
-    liveConversationsLearned: 0
+// Bearer-token guard for curator routes: ADMIN_TOKEN, or an API key with the
+// admin scope. The API is off unless ADMIN_TOKEN is configured.
+function requireAdmin(req, res, next) {
+  if (req.apiKey) return requireScope('admin')(req, res, next);
+
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN is not set)' });
   }
-};
 
-let saveQueue = Promise.resolve();
-let saveScheduled = false;
+  if (!bearerTokenMatches(req, ADMIN_TOKEN)) {
+    logger.setRequestId(req.requestId).warn('Rejected admin request', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
 
-const MEMORY_FILE = path.join(__dirname, 'data', 'memory.json');
+  next();
+}
 
-async function ensureDirectories() {
-  await fs.mkdir(path.dirname(MEMORY_FILE), { recursive: true });
-  await fs.mkdir(PERSISTENT_DIR, { recursive: true });
-  await fs.mkdir(BACKUP_DIR, { recursive: true });
+function bearerTokenMatches(req, secret) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  // Compare digests so the check takes the same time for any token length
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return Boolean(token) && crypto.timingSafeEqual(expected, actual);
 }
 
-async function loadMemoryFromReplitDB() {
-  if (!REPLIT_DB_URL) return null;
-  try {
-    const res = await fetch(`${REPLIT_DB_URL}/memory`);
-    if (res.status === 404) return null;
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const text = await res.text();
-    return text && text.trim() ? text : null;
-  } catch (err) {
-    logger.warn('Failed to read memory from Replit DB', { error: err.message });
-    return null;
-  }
+// The Prometheus endpoint has per-API-key series, so it is for admins, or for
+// a scraper holding METRICS_TOKEN when one is set
+function requireMetricsAccess(req, res, next) {
+  if (METRICS_TOKEN && !req.apiKey && bearerTokenMatches(req, METRICS_TOKEN)) return next();
+  requireAdmin(req, res, next);
 }
 
-async function loadMemoryFromPostgres() {
-  if (!pgPool) return null;
-  try {
-    await ensurePostgresTable();
-    const res = await pgPool.query('SELECT data FROM memory_store WHERE id = $1', ['global']);
-    if (res.rowCount === 0) return null;
-    const data = res.rows[0].data;
-    if (!data) return null;
-    return typeof data === 'string' ? data : JSON.stringify(data);
-  } catch (err) {
-    logger.warn('Failed to read memory from Postgres', { error: err.message });
-    return null;
-  }
+// Every curator change goes through here so cached replies are dropped and
+// the edit is persisted to all configured backends
+function commitKnowledgeChange(...inputs) {
+  inputs.forEach(input => IntelligentLearner.reindexInput(input));
+  pgStore?.markInputs(inputs);
+  responseCache.clear();
+  queueSave();
 }
 
-async function saveMemoryToReplitDB(dataStr) {
-  if (!REPLIT_DB_URL) return;
-  try {
-    const res = await fetch(`${REPLIT_DB_URL}/memory`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ value: dataStr })
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    logger.info('Memory saved to Replit DB');
-  } catch (err) {
-    logger.warn('Failed to save memory to Replit DB', { error: err.message });
-  }
+function paginate(items, query) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || CONFIG.ADMIN_PAGE_SIZE, 1),
+    CONFIG.ADMIN_MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return {
+    page,
+    limit,
+    total: items.length,
+    pages: Math.ceil(items.length / limit),
+    items: items.slice((page - 1) * limit, page * limit)
+  };
 }
 
-async function saveMemoryToPostgres(dataStr) {
-  if (!pgPool) return;
-  try {
-    await ensurePostgresTable();
-    await pgPool.query(
-      'INSERT INTO memory_store (id, data, updated_at) VALUES ($1, $2::jsonb, now()) ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = now()',
-      ['global', dataStr]
-    );
-    logger.info('Memory saved to Postgres');
-  } catch (err) {
-    logger.warn('Failed to save memory to Postgres', { error: err.message });
-  }
+function matchesSearch(entry, q) {
+  if (!q) return true;
+  const needle = String(q).toLowerCase();
+  return entry.input.toLowerCase().includes(needle) ||
+    entry.response.toLowerCase().includes(needle);
 }
 
-async function loadMemory() {
-  await ensureDirectories();
+// Validates a PATCH body; returns { error } or { changes }
+function parseEntryChanges(body = {}) {
+  const changes = {};
 
-  try {
-    // Try loading from various sources in priority order
-    let memoryStr = await loadMemoryFromPostgres();
-    
-    if (!memoryStr) {
-      memoryStr = await loadMemoryFromReplitDB();
+  if (body.response !== undefined) {
+    if (typeof body.response !== 'string' || !body.response.trim()) {
+      return { error: 'response must be a non-empty string' };
     }
-    
-    if (!memoryStr) {
-      try {
-        memoryStr = await fs.readFile(PERSISTENT_MEMORY_FILE, 'utf8');
-      } catch (err) {
-        // File doesn't exist yet
-      }
+    changes.response = TextCleaner.clean(body.response);
+  }
+
+  if (body.quality !== undefined) {
+    if (typeof body.quality !== 'number' || body.quality < 0 || body.quality > 100) {
+      return { error: 'quality must be a number between 0 and 100' };
     }
-    
-    if (!memoryStr) {
-      try {
-        memoryStr = await fs.readFile(MEMORY_FILE, 'utf8');
-      } catch (err) {
-        // File doesn't exist yet
-      }
+    changes.quality = body.quality;
+  }
+
+  if (body.confidence !== undefined) {
+    if (!Number.isInteger(body.confidence) || body.confidence < 1) {
+      return { error: 'confidence must be a positive integer' };
     }
+    changes.confidence = body.confidence;
+  }
 
-    if (memoryStr) {
-      const loaded = JSON.parse(memoryStr);
-      
-      // Validate loaded data structure
-      if (loaded.stats && loaded.contextPairs && loaded.semanticClusters) {
-        globalMemory = loaded;
-        logger.info('Memory loaded successfully', {
-          contextPairs: globalMemory.contextPairs.length,
-          clusters: Object.keys(globalMemory.semanticClusters).length,
-          stats: globalMemory.stats
-        });
-      } else {
-        logger.warn('Invalid memory structure, using defaults');
-      }
-    } else {
-      logger.info('No existing memory found, starting fresh');
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== 'boolean') {
+      return { error: 'pinned must be a boolean' };
     }
-  } catch (error) {
-    logger.error('Error loading memory', error);
+    changes.pinned = body.pinned;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update (response, quality, confidence, pinned)' };
   }
+
+  return { changes };
 }
 
-async function saveMemory() {
-  try {
-    const memoryStr = JSON.stringify(globalMemory, null, 2);
+// Curator edits double as labels for the quality model: pinning a pair or
+// rating it at or above MIN_QUALITY_SCORE marks it good, rating it lower bad
+function applyEntryChanges(entry, changes) {
+  Object.assign(entry, changes);
+  if (changes.pinned === false) delete entry.pinned;
+  entry.timestamp = Date.now();
+
+  if (changes.pinned) QualityLabels.record(entry.input, entry.response, 'good', 'admin_pin');
+  if (changes.quality !== undefined) {
+    const label = changes.quality >= CONFIG.MIN_QUALITY_SCORE ? 'good' : 'bad';
+    QualityLabels.record(entry.input, entry.response, label, 'admin_quality');
+  }
+}
 
-    // Save to primary file
-    const tempFile = MEMORY_FILE + '.tmp';
-    await fs.writeFile(tempFile, memoryStr, 'utf8');
-    await fs.rename(tempFile, MEMORY_FILE);
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
 
-    // Save to persistent location
-    const persistentTemp = PERSISTENT_MEMORY_FILE + '.tmp';
-    await fs.writeFile(persistentTemp, memoryStr, 'utf8');
-    await fs.rename(persistentTemp, PERSISTENT_MEMORY_FILE);
+// List / search context pairs
+adminRouter.get('/pairs', (req, res) => {
+  const sort = req.query.sort === 'recent' ? 'recent' : 'quality';
+  const items = globalMemory.contextPairs
+    .filter(pair => matchesSearch(pair, req.query.q))
+    .sort((a, b) => sort === 'recent'
+      ? b.timestamp - a.timestamp
+      : IntelligentLearner.compareEntries(a, b));
 
-    // Save to external stores (non-blocking)
-    saveMemoryToPostgres(memoryStr).catch(err => 
-      logger.error('Postgres save failed', err)
-    );
-    saveMemoryToReplitDB(memoryStr).catch(err => 
-      logger.error('Replit DB save failed', err)
-    );
+  res.json(paginate(items, req.query));
+});
 
-    logger.info('Memory saved successfully');
-  } catch (error) {
-    logger.error('Failed to save memory', error);
-    throw error;
-  }
-}
+adminRouter.get('/pairs/:id', (req, res) => {
+  const pair = globalMemory.contextPairs.find(p => p.id === req.params.id);
+  if (!pair) return res.status(404).json({ error: 'Pair not found' });
+  res.json(pair);
+});
 
-function saveMemorySync() {
-  try {
-    const memoryStr = JSON.stringify(globalMemory);
-    const tempFile = MEMORY_FILE + '.sync.tmp';
-    fsSync.writeFileSync(tempFile, memoryStr, 'utf8');
-    fsSync.renameSync(tempFile, MEMORY_FILE);
-    logger.info('Synchronous save completed');
-  } catch (error) {
-    logger.error('Synchronous save failed', error);
-  }
+adminRouter.patch('/pairs/:id', (req, res) => {
+  const pair = globalMemory.contextPairs.find(p => p.id === req.params.id);
+  if (!pair) return res.status(404).json({ error: 'Pair not found' });
+
+  const { error, changes } = parseEntryChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
+  applyEntryChanges(pair, changes);
+  commitKnowledgeChange(pair.input);
+
+  logger.setRequestId(req.requestId).info('Admin updated pair', { id: pair.id, changes: Object.keys(changes) });
+  res.json(pair);
+});
+
+adminRouter.delete('/pairs/:id', (req, res) => {
+  const index = globalMemory.contextPairs.findIndex(p => p.id === req.params.id);
+  if (index === -1) return res.status(404).json({ error: 'Pair not found' });
+
+  const [removed] = globalMemory.contextPairs.splice(index, 1);
+  commitKnowledgeChange(removed.input);
+  QualityLabels.record(removed.input, removed.response, 'bad', 'admin_delete');
+
+  logger.setRequestId(req.requestId).info('Admin deleted pair', { id: removed.id, input: removed.input });
+  res.json({ deleted: removed });
+});
+
+// List / search keyword clusters. The query is also matched against its
+// normalized form, so searching "running" finds the "run" cluster.
+adminRouter.get('/clusters', (req, res) => {
+  const q = req.query.q ? String(req.query.q).toLowerCase() : '';
+  const normalized = q ? TextNormalizer.normalizeTerm(q) : '';
+
+  const items = Object.entries(globalMemory.semanticClusters)
+    .filter(([keyword]) => !q || keyword.includes(q) || keyword === normalized)
+    .map(([keyword, cluster]) => ({
+      keyword,
+      size: cluster.length,
+      pinned: cluster.filter(entry => entry.pinned).length,
+      topQuality: cluster.reduce((max, entry) => Math.max(max, entry.quality), 0)
+    }))
+    .sort((a, b) => b.size - a.size || a.keyword.localeCompare(b.keyword));
+
+  res.json(paginate(items, req.query));
+});
+
+// semanticClusters is a plain object, so route parameters such as
+// "constructor" or "__proto__" must not reach its prototype
+function findCluster(keyword) {
+  if (!Object.hasOwn(globalMemory.semanticClusters, keyword)) return null;
+  const cluster = globalMemory.semanticClusters[keyword];
+  return Array.isArray(cluster) ? cluster : null;
 }
 
-function queueSave() {
-  if (saveScheduled) return;
-  saveScheduled = true;
+adminRouter.get('/clusters/:keyword', (req, res) => {
+  const cluster = findCluster(req.params.keyword);
+  if (!cluster) return res.status(404).json({ error: 'Cluster not found' });
 
-  setImmediate(() => {
-    saveQueue = saveQueue.then(async () => {
-      saveScheduled = false;
-      await saveMemory();
-    }).catch(err => {
-      saveScheduled = false;
-      logger.error('Queued save failed', err);
-    });
+  const items = cluster.filter(entry => matchesSearch(entry, req.query.q));
+  res.json({ keyword: req.params.keyword, ...paginate(items, req.query) });
+});
+
+// Wipe a whole keyword cluster
+adminRouter.delete('/clusters/:keyword', (req, res) => {
+  const cluster = findCluster(req.params.keyword);
+  if (!cluster) return res.status(404).json({ error: 'Cluster not found' });
+
+  delete globalMemory.semanticClusters[req.params.keyword];
+  commitKnowledgeChange(...new Set(cluster.map(entry => entry.input)));
+  cluster.forEach(entry => QualityLabels.record(entry.input, entry.response, 'bad', 'admin_delete'));
+
+  logger.setRequestId(req.requestId).info('Admin wiped cluster', { keyword: req.params.keyword, entries: cluster.length });
+  res.json({ keyword: req.params.keyword, deleted: cluster.length });
+});
+
+adminRouter.patch('/clusters/:keyword/entries/:id', (req, res) => {
+  const cluster = findCluster(req.params.keyword);
+  const entry = cluster?.find(e => e.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Cluster entry not found' });
+
+  const { error, changes } = parseEntryChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
+  applyEntryChanges(entry, changes);
+  cluster.sort((a, b) => IntelligentLearner.compareEntries(a, b));
+  commitKnowledgeChange(entry.input);
+
+  logger.setRequestId(req.requestId).info('Admin updated cluster entry', {
+    keyword: req.params.keyword,
+    id: entry.id,
+    changes: Object.keys(changes)
   });
-}
+  res.json(entry);
+});
+
+adminRouter.delete('/clusters/:keyword/entries/:id', (req, res) => {
+  const cluster = findCluster(req.params.keyword);
+  const index = cluster ? cluster.findIndex(e => e.id === req.params.id) : -1;
+  if (index === -1) return res.status(404).json({ error: 'Cluster entry not found' });
+
+  const [removed] = cluster.splice(index, 1);
+  if (cluster.length === 0) {
+    delete globalMemory.semanticClusters[req.params.keyword];
+  }
+  commitKnowledgeChange(removed.input);
+  QualityLabels.record(removed.input, removed.response, 'bad', 'admin_delete');
+
+  logger.setRequestId(req.requestId).info('Admin deleted cluster entry', {
+    keyword: req.params.keyword,
+    id: removed.id
+  });
+  res.json({ deleted: removed });
+});
+
+// Bulk corpus import. The body is streamed, so send it as
+// application/x-ndjson, text/csv or text/plain rather than JSON.
+adminRouter.post('/import', async (req, res) => {
+  const requestLogger = logger.setRequestId(req.requestId);
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const format = req.query.format || IMPORT_CONTENT_TYPES[contentType];
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  if (!IMPORT_PARSERS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(IMPORT_PARSERS).join(', ')}` });
+  }
+
+  if (req._body) {
+    // Already consumed by the JSON body parser
+    return res.status(415).json({ error: 'Send the corpus as application/x-ndjson, text/csv or text/plain' });
+  }
+
+  if (parseInt(req.headers['content-length'], 10) > CONFIG.IMPORT_MAX_BYTES) {
+    return res.status(413).json({ error: `Corpus exceeds ${CONFIG.IMPORT_MAX_BYTES} bytes` });
+  }
 
-// Create backups
-async function createBackup() {
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(BACKUP_DIR, `memory-${timestamp}.json`);
-    
-    await fs.copyFile(MEMORY_FILE, backupFile);
-    logger.info('Backup created', { file: backupFile });
-
-    // Clean old backups
-    const files = await fs.readdir(BACKUP_DIR);
-    const backupFiles = files
-      .filter(f => f.startsWith('memory-') && f.endsWith('.json'))
-      .map(f => ({ name: f, path: path.join(BACKUP_DIR, f) }));
-
-    if (backupFiles.length > CONFIG.MAX_BACKUPS) {
-      const stats = await Promise.all(
-        backupFiles.map(async f => ({
-          ...f,
-          mtime: (await fs.stat(f.path)).mtime
-        }))
-      );
+    const importer = new CorpusImporter({ dryRun });
+    const report = await importer.importStream(req, format);
 
-      stats.sort((a, b) => b.mtime - a.mtime);
-      
-      for (const file of stats.slice(CONFIG.MAX_BACKUPS)) {
-        await fs.unlink(file.path);
-        logger.info('Old backup removed', { file: file.name });
-      }
+    if (!dryRun && report.accepted > 0) {
+      commitKnowledgeChange();
     }
-  } catch (error) {
-    logger.error('Backup creation failed', error);
+
+    requestLogger.info('Corpus import finished', {
+      format,
+      dryRun,
+      lines: report.lines,
+      accepted: report.accepted,
+      rejected: report.rejected,
+      truncated: Boolean(report.truncated)
+    });
+
+    res.status(report.truncated ? 413 : 200).json({ format, ...report });
+  } catch (err) {
+    requestLogger.error('Corpus import failed', err);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
+// Streamed knowledge export (see parseExportFilters for options)
+adminRouter.get('/export', async (req, res) => {
+  const requestLogger = logger.setRequestId(req.requestId);
+  const { error, filters } = parseExportFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const format = EXPORT_FORMATS[filters.format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', `${format.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="turingai-export-${date}.${format.extension}"`);
+
+  try {
+    const count = await writeExport(res, filters);
+    res.end();
+    requestLogger.info('Knowledge exported', { ...filters, records: count });
+  } catch (err) {
+    requestLogger.error('Knowledge export failed', err);
+    res.destroy(err);
+  }
+});
+
+const BACKUP_ERROR_STATUS = {
+  BACKUP_NOT_FOUND: 404,
+  BACKUP_INVALID: 422,
+  MEMORY_SCHEMA_TOO_NEW: 409,
+  MEMORY_READ_ONLY: 409
+};
+
+function sendBackupError(req, res, err, message) {
+  const status = BACKUP_ERROR_STATUS[err.code];
+  if (!status) {
+    logger.setRequestId(req.requestId).error(message, err);
+    return res.status(500).json({ error: message });
   }
+  res.status(status).json({ error: err.message, problems: err.problems });
 }
 
-// ============================================================================
-// GRACEFUL SHUTDOWN
-// ============================================================================
+adminRouter.get('/backups', async (req, res) => {
+  try {
+    res.json({ backups: await BackupCatalog.list() });
+  } catch (err) {
+    sendBackupError(req, res, err, 'Failed to list backups');
+  }
+});
 
-async function gracefulShutdown(signal) {
-  logger.info('Shutdown signal received', { signal });
+adminRouter.post('/backups', async (req, res) => {
+  try {
+    res.status(201).json(await BackupCatalog.create('manual'));
+  } catch (err) {
+    sendBackupError(req, res, err, 'Failed to create backup');
+  }
+});
+
+// ?from=NAME&to=NAME|current - pairs added and removed between two snapshots
+adminRouter.get('/backups/diff', async (req, res) => {
+  const { from, to = 'current' } = req.query;
+  if (!from) return res.status(400).json({ error: 'from is required' });
 
   try {
-    await saveQueue;
-    await saveMemory();
-    await createBackup();
-    logger.info('Graceful shutdown completed');
+    const diff = await BackupCatalog.diff(String(from), String(to));
+    const limit = Math.min(parseInt(req.query.limit, 10) || CONFIG.ADMIN_PAGE_SIZE, CONFIG.ADMIN_MAX_PAGE_SIZE);
+    res.json({
+      from: diff.from,
+      to: diff.to,
+      addedCount: diff.added.length,
+      removedCount: diff.removed.length,
+      unchanged: diff.unchanged,
+      added: diff.added.slice(0, limit),
+      removed: diff.removed.slice(0, limit)
+    });
   } catch (err) {
-    logger.error('Error during shutdown', err);
+    sendBackupError(req, res, err, 'Failed to diff backups');
   }
+});
 
+adminRouter.get('/backups/:name/verify', async (req, res) => {
   try {
-    saveMemorySync();
+    res.json(await BackupCatalog.verify(req.params.name));
   } catch (err) {
-    logger.error('Final sync save failed', err);
+    sendBackupError(req, res, err, 'Failed to verify backup');
   }
+});
 
-  if (pgPool) {
-    await pgPool.end();
+adminRouter.post('/backups/:name/restore', async (req, res) => {
+  try {
+    const result = await BackupCatalog.restore(req.params.name);
+    logger.setRequestId(req.requestId).info('Admin restored backup', result);
+    res.json(result);
+  } catch (err) {
+    sendBackupError(req, res, err, 'Failed to restore backup');
   }
+});
 
-  process.exit(0);
-}
+// API keys. The plain key is in the create response only; keep it safe.
+adminRouter.get('/keys', (req, res) => {
+  res.json({ keys: ApiKeyManager.keys().map(record => ApiKeyManager.describe(record)) });
+});
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2'));
+adminRouter.post('/keys', (req, res) => {
+  const { error, options } = ApiKeyManager.parseOptions(req.body);
+  if (error) return res.status(400).json({ error });
 
-// ============================================================================
-// MIDDLEWARE
-// ============================================================================
+  const { key, record } = ApiKeyManager.create(options);
+  queueSave();
+  logger.setRequestId(req.requestId).info('Admin issued API key', { id: record.id, name: record.name, scopes: record.scopes });
+  res.status(201).json({ key, ...ApiKeyManager.describe(record) });
+});
 
-// Request ID middleware
-app.use((req, res, next) => {
-  const requestId = crypto.randomBytes(16).toString('hex');
-  req.requestId = requestId;
-  res.setHeader('X-Request-ID', requestId);
-  next();
+// Revoked keys stop working on their next request; the record stays for audit
+adminRouter.delete('/keys/:id', (req, res) => {
+  const record = ApiKeyManager.revoke(req.params.id);
+  if (!record) return res.status(404).json({ error: 'API key not found' });
+
+  queueSave();
+  logger.setRequestId(req.requestId).info('Admin revoked API key', { id: record.id, name: record.name });
+  res.json(ApiKeyManager.describe(record));
 });
 
-// Logging middleware
-app.use((req, res, next) => {
-  const start = Date.now();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    logger.setRequestId(req.requestId).info('Request completed', {
-      method: req.method,
-      path: req.path,
-      status: res.statusCode,
-      duration
-    });
-  });
-  
-  next();
+// The loaded intent rules, and the last failed reload if any
+adminRouter.get('/intents', (req, res) => {
+  res.json(intentRules.describe());
 });
 
-// Body parser with size limit
-app.use(bodyParser.json({ limit: '10mb' }));
+// Review queue for pairs taught in chat that are not served yet. Busiest
+// first: most confirming callers, then most recently taught.
+adminRouter.get('/pending', (req, res) => {
+  const items = LearningQuarantine.pending
+    .filter(item => matchesSearch(item, req.query.q))
+    .sort((a, b) => b.callers.length - a.callers.length || b.lastSeen - a.lastSeen)
+    .map(item => ({ ...item, expiresAt: LearningQuarantine.expiresAt(item) }));
 
-// Rate limiting middleware
-app.use((req, res, next) => {
-  const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-  const result = rateLimiter.check(ip);
+  res.json({ requiredCallers: CONFIG.PENDING_MIN_CALLERS, ...paginate(items, req.query) });
+});
 
-  res.setHeader('X-RateLimit-Limit', CONFIG.RATE_LIMIT_MAX_REQUESTS);
-  res.setHeader('X-RateLimit-Remaining', result.remaining);
+adminRouter.post('/pending/:id/approve', (req, res) => {
+  const item = LearningQuarantine.find(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Pending pattern not found' });
 
-  if (!result.allowed) {
-    res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
-    logger.setRequestId(req.requestId).warn('Rate limit exceeded', { ip, path: req.path });
-    return res.status(429).json({
-      error: 'Too many requests',
-      retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
-    });
-  }
+  LearningQuarantine.promote(item);
+  metrics.recordLearning('approved');
+  commitKnowledgeChange(item.input);
+  QualityLabels.record(item.input, item.response, 'good', 'admin_approve');
 
-  next();
+  logger.setRequestId(req.requestId).info('Admin approved pending pattern', { id: item.id, input: item.input });
+  res.json({ approved: item });
 });
 
-// CORS middleware
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-  
-  if (CONFIG.ALLOWED_ORIGINS.includes('*')) {
-    res.header('Access-Control-Allow-Origin', '*');
-  } else if (origin && CONFIG.ALLOWED_ORIGINS.includes(origin)) {
-    res.header('Access-Control-Allow-Origin', origin);
-  }
-  
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Request-ID');
-  res.header('Access-Control-Expose-Headers', 'X-Request-ID, X-RateLimit-Limit, X-RateLimit-Remaining');
-  
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  
-  next();
+adminRouter.delete('/pending/:id', (req, res) => {
+  const item = LearningQuarantine.find(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Pending pattern not found' });
+
+  LearningQuarantine.reject(item);
+  queueSave();
+  QualityLabels.record(item.input, item.response, 'bad', 'admin_reject');
+
+  logger.setRequestId(req.requestId).info('Admin rejected pending pattern', { id: item.id, input: item.input });
+  res.json({ rejected: item });
 });
 
-// Security headers
-app.use((req, res, next) => {
-  res.header('X-Content-Type-Options', 'nosniff');
-  res.header('X-Frame-Options', 'DENY');
-  res.header('X-XSS-Protection', '1; mode=block');
-  res.header('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com;");
-  next();
+adminRouter.get('/quality', (req, res) => {
+  res.json(getQualityScorer().describe());
 });
 
-app.use(express.static('public'));
+// Which rule a message would hit if nothing learned answered it. Optional
+// firstMessage (boolean) and hour (0-23) stand in for the session and clock.
+adminRouter.post('/intents/test', (req, res) => {
+  const { message, firstMessage = false, hour = new Date().getHours() } = req.body || {};
+
+  const validation = InputValidator.validateMessage(message);
+  if (!validation.valid) return res.status(400).json({ error: validation.error });
+  if (typeof firstMessage !== 'boolean') return res.status(400).json({ error: 'firstMessage must be true or false' });
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) return res.status(400).json({ error: 'hour must be a whole number from 0 to 23' });
+
+  const cleaned = TextCleaner.clean(validation.message);
+  const matches = intentRules.matches(cleaned, { firstMessage, hour });
+  const [rule] = matches;
+
+  res.json({
+    message: cleaned,
+    firstMessage,
+    hour,
+    rule: { name: rule.name, priority: rule.priority },
+    response: IntentRules.pickResponse(rule),
+    matches: matches.map(match => match.name)
+  });
+});
+
+app.use('/api/admin', adminRouter);
 
 // ============================================================================
 // API ROUTES
@@ -1132,11 +6542,14 @@ app.get('/', (req, res) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+// Unhealthy (503) while the primary storage backend is unreachable
+app.get('/health', async (req, res) => {
+  const storageStatus = await storageHealth();
+  res.status(storageStatus.primary.ok ? 200 : 503).json({
+    status: storageStatus.primary.ok ? 'healthy' : 'unhealthy',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    storage: storageStatus,
     timestamp: new Date().toISOString()
   });
 });
@@ -1157,10 +6570,94 @@ app.get('/api/metrics', (req, res) => {
   });
 });
 
+metrics.registerGauge('turingai_sessions_active', 'Conversation sessions currently held',
+  () => sessionManager.getActiveCount());
+metrics.registerGauge('turingai_memory_entries', 'Learned entries held in memory, by section', () => [
+  { labels: { section: 'context_pairs' }, value: globalMemory.contextPairs.length },
+  {
+    labels: { section: 'cluster_entries' },
+    value: Object.values(globalMemory.semanticClusters).reduce((sum, cluster) => sum + cluster.length, 0)
+  }
+]);
+metrics.registerGauge('turingai_pending_patterns', 'Learned pairs waiting for confirmation before they are served',
+  () => LearningQuarantine.pending.length);
+metrics.registerGauge('turingai_memory_clusters', 'Keyword clusters held in memory',
+  () => Object.keys(globalMemory.semanticClusters).length);
+metrics.registerGauge('turingai_memory_indexed_inputs', 'Inputs in the retrieval index',
+  () => knowledgeIndex.size);
+metrics.registerGauge('turingai_memory_snapshot_bytes', 'Size of the last memory snapshot written',
+  () => lastSnapshotBytes);
+metrics.registerGauge('process_resident_memory_bytes', 'Resident set size of the server process',
+  () => process.memoryUsage().rss);
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.toPrometheus());
+});
+
+// Live stats channel (Server-Sent Events), see StatsBroadcaster
+app.get('/api/events', (req, res) => {
+  if (statsBroadcaster.size >= CONFIG.MAX_EVENT_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live connections, poll /api/stats instead' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  statsBroadcaster.subscribe(res);
+  res.on('close', () => statsBroadcaster.unsubscribe(res));
+});
+
+// Stored conversation for a session, oldest turn first. Pages go backwards:
+// pass nextBefore as ?before= to get the turns preceding this page. Needs the
+// session's history token; without it the session looks like it has none.
+app.get('/api/sessions/:id/history', requireScope('chat'), async (req, res) => {
+  const sessionValidation = InputValidator.validateSessionId(req.params.id);
+  if (!sessionValidation.valid) {
+    return res.status(400).json({ error: sessionValidation.error });
+  }
+  if (!isTranscribed(req.params.id) || !historyTokenMatches(req.params.id, req.get('X-History-Token'))) {
+    return res.status(404).json({ error: 'This session has no stored history' });
+  }
+
+  const before = req.query.before === undefined ? Infinity : Number(req.query.before);
+  if (!Number.isSafeInteger(before) && before !== Infinity) {
+    return res.status(400).json({ error: 'before must be an integer' });
+  }
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || CONFIG.HISTORY_PAGE_SIZE, 1),
+    CONFIG.HISTORY_MAX_PAGE_SIZE
+  );
+
+  try {
+    const { turns, hasMore } = await transcriptStore.page(req.params.id, { before, limit });
+    res.json({
+      sessionId: req.params.id,
+      turns,
+      hasMore,
+      nextBefore: hasMore ? turns[0].seq : null
+    });
+  } catch (err) {
+    logger.setRequestId(req.requestId).error('Failed to read conversation history', err);
+    res.status(500).json({ error: 'Failed to read conversation history' });
+  }
+});
+
 // Stats endpoint
 app.get('/api/stats', (req, res) => {
   sessionManager.cleanup();
 
+  // Distinct pairs being served, however many clusters and the context
+  // pairs hold each
+  const active = new Set();
+  for (const entry of [...globalMemory.contextPairs, ...Object.values(globalMemory.semanticClusters).flat()]) {
+    active.add(`${entry.input}${ENTRY_KEY_SEPARATOR}${entry.response}`);
+  }
+
   res.json({
     stats: globalMemory.stats,
     activeUsers: sessionManager.getActiveCount(),
@@ -1169,6 +6666,10 @@ app.get('/api/stats', (req, res) => {
       semanticClusters: Object.keys(globalMemory.semanticClusters).length,
       totalLearned: globalMemory.contextPairs.length +
         Object.values(globalMemory.semanticClusters).reduce((sum, cluster) => sum + cluster.length, 0)
+    },
+    patterns: {
+      active: active.size,
+      pending: LearningQuarantine.pending.length
     }
   });
 });
@@ -1182,13 +6683,24 @@ app.post('/api/check-text', (req, res) => {
       return res.status(400).json({ error: 'text is required' });
     }
 
-    const profanity = GarbageClassifier.containsProfanity(text);
-    const flagged = GarbageClassifier.isGarbage(text);
+    const profanity = profanityFilter.scan(text);
+    const verdict = GarbageClassifier.evaluate(text);
 
     res.json({
       text,
-      flagged,
-      profanityMatches: profanity.matches
+      flagged: verdict.garbage,
+      learnable: verdict.learnable,
+      disposition: DispositionEngine.decide(text).disposition,
+      reason: verdict.reason,
+      fired: verdict.fired,
+      rules: verdict.rules,
+      profanityMatches: [...new Set(profanity.matches.map(match => match.term))],
+      profanity: {
+        action: profanity.action,
+        severity: profanity.severity,
+        matches: profanity.matches,
+        masked: profanity.action === 'mask' ? profanity.masked : undefined
+      }
     });
   } catch (err) {
     logger.setRequestId(req.requestId).error('check-text error', err);
@@ -1197,114 +6709,132 @@ app.post('/api/check-text', (req, res) => {
 });
 
 // Chat endpoint
-app.post('/api/chat', async (req, res) => {
+// The chat turn shared by the JSON and streaming endpoints. Progress is
+// reported through emit(event, data): accepted, typing, response, learned.
+// Resolves with the status and body the JSON endpoint would send. With
+// learn: false (API keys without the learn scope) the turn is answered but
+// never learned from. caller is who is talking, from callerIdentity(); it is
+// what confirms pending pairs.
+async function processChatMessage(requestId, payload, emit = () => {}, { learn = true, caller } = {}) {
   const startTime = Date.now();
-  const requestLogger = logger.setRequestId(req.requestId);
+  const requestLogger = logger.setRequestId(requestId);
   
   try {
-    const { message, sessionId = 'default' } = req.body;
+    const { message, sessionId = 'default' } = payload || {};
 
     // Validate input
     const messageValidation = InputValidator.validateMessage(message);
     if (!messageValidation.valid) {
       metrics.recordRequest(Date.now() - startTime, true);
-      return res.status(400).json({ error: messageValidation.error });
+      return { status: 400, body: { error: messageValidation.error } };
     }
 
     const sessionValidation = InputValidator.validateSessionId(sessionId);
     if (!sessionValidation.valid) {
       metrics.recordRequest(Date.now() - startTime, true);
-      return res.status(400).json({ error: sessionValidation.error });
+      return { status: 400, body: { error: sessionValidation.error } };
     }
 
+    emit('accepted', { requestId, sessionId });
+
     const cleanedMessage = TextCleaner.clean(messageValidation.message);
     
     // Check for garbage
-    if (!cleanedMessage || GarbageClassifier.isGarbage(cleanedMessage)) {
+    const { disposition, reason, hint, rules } = DispositionEngine.decide(cleanedMessage, { learn });
+    metrics.recordDisposition(disposition, reason);
+    if (disposition === 'reject') {
       globalMemory.stats.garbageFiltered++;
+      rules.forEach(rule => metrics.recordGarbage(rule, 'chat'));
       metrics.recordRequest(Date.now() - startTime);
-      
-      return res.json({
-        response: "Let's keep our conversation meaningful and respectful! 😊",
-        learned: false,
-        stats: globalMemory.stats,
-        activeUsers: sessionManager.getActiveCount()
-      });
+
+      // The hint tells the user which rule the message tripped
+      const response = ["Let's keep our conversation meaningful and respectful! 😊", hint].filter(Boolean).join(' ');
+      const filtered = { reason, rules };
+      emit('response', { response, filtered });
+      return {
+        status: 200,
+        body: {
+          response,
+          filtered,
+          disposition,
+          dispositionReason: reason,
+          learned: false,
+          stats: globalMemory.stats,
+          activeUsers: sessionManager.getActiveCount()
+        }
+      };
     }
     
-    // Update session activity
+    // Update session activity. The first turn of a session carries the token
+    // its history is read back with.
+    const resumed = await sessionManager.hydrate(sessionId);
     sessionManager.updateActivity(sessionId);
+    emit('typing');
     
-    // Try to find a learned response
-    let response = IntelligentLearner.findBestResponse(cleanedMessage);
+    // Try to find a learned response, using the previous turns as context
+    const history = sessionManager.getConversationHistory(sessionId);
+    const match = IntelligentLearner.findBestMatch(cleanedMessage, { history });
+    let response = match ? match.response : null;
     let isLearned = !!response;
     
-    // Fallback responses
+    // Nothing learned fits: reply from the intent rules
+    let intent = null;
     if (!response) {
-      const lower = cleanedMessage.toLowerCase();
-
-      if (lower.match(/^(hi|hey|hello|sup|yo|greetings|howdy|wassup|what's up)\b/)) {
-        const greetings = [
-          "hey", "hi", "hello", "hey there", "hi!", "sup", "yo",
-          "hey! how are you?", "hello! how's it going?"
-        ];
-        response = greetings[Math.floor(Math.random() * greetings.length)];
-      } else if (lower.match(/how (are|r) (you|u)|how's it going|hows it going|what's up|whats up/)) {
-        const statuses = [
-          "good, you?", "pretty good!", "not bad, how about you?",
-          "doing alright", "i'm good thanks", "fine, and you?", "great! how are you?"
-        ];
-        response = statuses[Math.floor(Math.random() * statuses.length)];
-      } else if (lower.match(/^(what|where|when|who|why|how|which|whose|\?)/)) {
-        const questions = [
-          "what do you think?", "i'm not sure, what would you say?",
-          "hmm, good question", "that's interesting, tell me your thoughts",
-          "not sure tbh", "idk, what about you?", "what's your take on it?"
-        ];
-        response = questions[Math.floor(Math.random() * questions.length)];
-      } else {
-        const casual = [
-          "oh really?", "interesting", "cool", "nice", "that's cool",
-          "oh nice", "yeah?", "for real?", "i see", "tell me more",
-          "go on", "interesting!", "oh wow", "haha nice", "that's interesting",
-          "cool, tell me more", "nice! what else?", "oh that's cool",
-          "i feel that", "makes sense"
-        ];
-        response = casual[Math.floor(Math.random() * casual.length)];
-      }
+      ({ rule: intent, response } = intentRules.respond(cleanedMessage, { firstMessage: history.length === 0 }));
     }
     
+    emit('response', { response });
+
+    // Remember what produced this reply so it can be rated
+    responseProvenance.record(requestId, {
+      sessionId,
+      message: cleanedMessage,
+      response,
+      source: match ? match.source : 'fallback',
+      intent: intent ? intent.name : null,
+      input: match ? match.input : null
+    });
+
     // Store conversation and learn
-    const history = sessionManager.getConversationHistory(sessionId);
     sessionManager.addToHistory(sessionId, cleanedMessage, response);
     
     // Learn from conversation patterns
-    if (history.length >= 2) {
+    if (disposition === 'answer' && history.length >= 2) {
       const prevPair = history[history.length - 2];
       
-      if (!GarbageClassifier.isGarbage(prevPair.user) && !GarbageClassifier.isGarbage(cleanedMessage)) {
-        const quality = GarbageClassifier.calculateQuality(prevPair.user, cleanedMessage);
-
-        if (quality >= CONFIG.MIN_QUALITY_SCORE) {
-          IntelligentLearner.learnPattern(prevPair.user, cleanedMessage, quality);
-          globalMemory.stats.liveConversationsLearned++;
-          metrics.recordLearning();
-          
-          requestLogger.info('Pattern learned', {
-            input: prevPair.user,
-            response: cleanedMessage,
-            quality,
-            totalLearned: globalMemory.stats.liveConversationsLearned
-          });
+      if (DispositionEngine.isLearnable(prevPair.user)) {
+        const scorer = getQualityScorer();
 
-          if (FORCE_SYNC_ON_LEARN) {
-            try {
-              saveMemorySync();
-            } catch (err) {
-              requestLogger.error('Sync save failed', err);
-            }
+        if (scorer.accepts(prevPair.user, cleanedMessage)) {
+          const quality = scorer.score(prevPair.user, cleanedMessage);
+
+          // Record the turn before the learned input as its context
+          const context = IntelligentLearner.turnKeywords(history[history.length - 3]);
+          const outcome = LearningQuarantine.submit(prevPair.user, cleanedMessage, quality, { context, caller });
+
+          if (outcome.status === 'learned') {
+            metrics.recordLearning('live');
+            emit('learned', { input: prevPair.user, quality });
+
+            requestLogger.info('Pattern learned', {
+              input: prevPair.user,
+              response: cleanedMessage,
+              quality,
+              totalLearned: globalMemory.stats.liveConversationsLearned
+            });
           } else {
-            queueSave();
+            requestLogger.info('Pattern pending confirmation', {
+              input: prevPair.user,
+              response: cleanedMessage,
+              quality,
+              callers: outcome.callers,
+              required: outcome.required
+            });
+          }
+
+          // The journal makes the pattern durable; snapshots follow in the background
+          if (FORCE_SYNC_ON_LEARN) {
+            await learningJournal.flush();
           }
         }
       }
@@ -1324,20 +6854,149 @@ app.post('/api/chat', async (req, res) => {
       sessionId,
       duration,
       learned: isLearned,
+      intent: intent ? intent.name : undefined,
+      disposition,
+      dispositionReason: reason || undefined,
       messageLength: cleanedMessage.length
     });
 
-    res.json({
-      response,
-      learned: isLearned,
-      stats: globalMemory.stats,
-      activeUsers: sessionManager.getActiveCount(),
-      requestId: req.requestId
-    });
+    return {
+      status: 200,
+      body: {
+        response,
+        disposition,
+        dispositionReason: reason,
+        learned: isLearned,
+        stats: globalMemory.stats,
+        activeUsers: sessionManager.getActiveCount(),
+        requestId,
+        ...(!resumed && isTranscribed(sessionId) && { historyToken: historyToken(sessionId) })
+      }
+    };
   } catch (error) {
     const duration = Date.now() - startTime;
     metrics.recordRequest(duration, true);
     requestLogger.error('Chat error', error);
+    return { status: 500, body: { error: 'Internal server error' } };
+  }
+}
+
+// Whether this caller's conversations may teach the bot
+function canLearnFrom(req) {
+  return !req.apiKey || ApiKeyManager.hasScope(req.apiKey, 'learn');
+}
+
+// Who is talking, as the server sees it rather than as the body claims: the
+// API key, or a keyed hash of the client address, so the stored identity
+// cannot be turned back into the address. See TRUST_PROXY.
+function callerIdentity(req) {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+  return `ip:${serverHmac('caller', ip).slice(0, 22)}`;
+}
+
+function chatOptions(req) {
+  return { learn: canLearnFrom(req), caller: callerIdentity(req) };
+}
+
+app.post('/api/chat', requireScope('chat'), async (req, res) => {
+  const { status, body } = await processChatMessage(req.requestId, req.body, undefined, chatOptions(req));
+  res.status(status).json(body);
+});
+
+// Same turn as /api/chat, as Server-Sent Events written as the turn
+// progresses: accepted, typing, chunk (the reply, which is produced whole),
+// learned, then done with the JSON body. Validation errors are answered as
+// plain JSON before the stream opens.
+app.post('/api/chat/stream', requireScope('chat'), async (req, res) => {
+  const write = (event, data = {}) => {
+    if (res.writableEnded || res.destroyed) return;
+    if (!res.headersSent) {
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const emit = (event, data) => {
+    if (event === 'response') return write('chunk', { text: data.response });
+    write(event, data);
+  };
+
+  const { status, body } = await processChatMessage(req.requestId, req.body, emit, chatOptions(req));
+
+  if (!res.headersSent) return res.status(status).json(body);
+
+  write(status === 200 ? 'done' : 'error', body);
+  res.end();
+});
+
+// Feedback endpoint
+app.post('/api/feedback', requireScope('learn'), (req, res) => {
+  const requestLogger = logger.setRequestId(req.requestId);
+
+  try {
+    const { requestId, rating, reason } = req.body || {};
+
+    if (typeof requestId !== 'string' || !/^[a-f0-9]{32}$/.test(requestId)) {
+      return res.status(400).json({ error: 'A valid requestId is required' });
+    }
+
+    if (rating !== 'up' && rating !== 'down') {
+      return res.status(400).json({ error: "rating must be 'up' or 'down'" });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > CONFIG.MAX_FEEDBACK_REASON_LENGTH)) {
+      return res.status(400).json({
+        error: `reason must be a string of at most ${CONFIG.MAX_FEEDBACK_REASON_LENGTH} characters`
+      });
+    }
+
+    const provenance = responseProvenance.get(requestId);
+    if (!provenance) {
+      return res.status(404).json({ error: 'Unknown or expired requestId' });
+    }
+
+    if (provenance.rated) {
+      return res.status(409).json({ error: 'This response has already been rated' });
+    }
+    provenance.rated = true;
+
+    // Fallback replies have no learned entry behind them; the rating is
+    // still recorded
+    const adjusted = provenance.input
+      ? IntelligentLearner.applyFeedback(provenance.input, provenance.response, rating)
+      : { matched: 0, retired: 0 };
+
+    globalMemory.feedback.push({
+      input: provenance.input || provenance.message,
+      response: provenance.response,
+      source: provenance.source,
+      intent: provenance.intent || undefined,
+      rating,
+      reason: reason ? reason.trim() : undefined,
+      timestamp: Date.now()
+    });
+    if (globalMemory.feedback.length > CONFIG.MAX_FEEDBACK_RECORDS) {
+      globalMemory.feedback.splice(0, globalMemory.feedback.length - CONFIG.MAX_FEEDBACK_RECORDS);
+    }
+
+    queueSave();
+
+    requestLogger.info('Feedback recorded', {
+      ratedRequestId: requestId,
+      rating,
+      source: provenance.source,
+      ...adjusted
+    });
+
+    res.json({ ok: true, requestId, rating, adjusted });
+  } catch (err) {
+    requestLogger.error('Feedback error', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1345,7 +7004,7 @@ app.post('/api/chat', async (req, res) => {
 // Deprecated training endpoint
 app.post('/api/train', (req, res) => {
   logger.setRequestId(req.requestId).warn('Deprecated endpoint called');
-  res.status(410).json({ error: 'Training endpoint has been removed' });
+  res.status(410).json({ error: 'Training endpoint has been removed; use POST /api/admin/import' });
 });
 
 // 404 handler
@@ -1359,30 +7018,222 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// ============================================================================
+// CLI COMMANDS
+// ============================================================================
+
+// "--min-quality 60 --out file" -> { minQuality: '60', out: 'file' }
+function parseCliArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const name = rawName.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+}
+
+// node server.js export [--format jsonl|csv|parlai] [--source pairs|clusters|all]
+//   [--min-quality N] [--min-confidence N] [--since DATE] [--keyword WORD] [--out FILE]
+async function runExportCommand(args) {
+  const { error, filters } = parseExportFilters(args);
+  if (error) throw new Error(error);
+
+  savesDisabled = true;
+  await loadMemory();
+
+  const stream = args.out ? fsSync.createWriteStream(args.out) : process.stdout;
+  const count = await writeExport(stream, filters);
+
+  if (args.out) {
+    await new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.end(resolve);
+    });
+  }
+
+  logger.info('Knowledge exported', { ...filters, records: count, out: args.out || 'stdout' });
+}
+
+// node server.js backups [list]
+// node server.js backups verify [NAME...]   (all backups when no name is given)
+// node server.js backups diff FROM [TO]
+async function runBackupsCommand(args) {
+  const [action = 'list', ...names] = args._;
+  let output;
+
+  if (action === 'list') {
+    output = await BackupCatalog.list();
+  } else if (action === 'verify') {
+    const targets = names.length > 0 ? names : (await BackupCatalog.list()).map(backup => backup.name);
+    output = await Promise.all(targets.map(name => BackupCatalog.verify(name)));
+    if (output.some(report => !report.ok)) process.exitCode = 1;
+  } else if (action === 'diff') {
+    if (!names[0]) throw new Error('Usage: backups diff FROM [TO]');
+    // "current" means the stored memory, loaded without writing anything back
+    savesDisabled = true;
+    if (names[0] === 'current' || !names[1] || names[1] === 'current') await loadMemory();
+    output = await BackupCatalog.diff(names[0], names[1] || 'current');
+  } else {
+    throw new Error(`Unknown backups action: ${action}`);
+  }
+
+  process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+}
+
+// node server.js quality [evaluate]
+// node server.js quality retrain
+// Cross-validates the Naive Bayes quality model against the heuristic on the
+// labeled pairs; retrain then trains it on all of them and writes
+// QUALITY_MODEL_FILE, which running servers pick up
+async function runQualityCommand(args) {
+  const [action = 'evaluate'] = args._;
+  if (action !== 'evaluate' && action !== 'retrain') throw new Error(`Unknown quality action: ${action}`);
+
+  savesDisabled = true;
+  await loadMemory();
+
+  const examples = await QualityLabels.collect();
+  const report = evaluateQualityScorers(examples);
+
+  if (action === 'retrain') {
+    const model = NaiveBayesQualityScorer.train(examples);
+    await fs.mkdir(PERSISTENT_DIR, { recursive: true });
+    await writeFileDurable(QUALITY_MODEL_FILE, JSON.stringify(model));
+    report.model = { file: QUALITY_MODEL_FILE, trainedAt: model.trainedAt, vocabularySize: model.vocabularySize };
+    logger.info('Quality model retrained', { file: QUALITY_MODEL_FILE, examples: examples.length });
+  }
+
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+const CLI_COMMANDS = {
+  export: runExportCommand,
+  backups: runBackupsCommand,
+  quality: runQualityCommand
+};
+
 // ============================================================================
 // SERVER INITIALIZATION
 // ============================================================================
 
-loadMemory().then(() => {
-  app.listen(PORT, '0.0.0.0', () => {
-    logger.info('TuringAI server started', {
-      port: PORT,
-      stats: globalMemory.stats,
-      config: {
-        allowedOrigins: CONFIG.ALLOWED_ORIGINS,
-        rateLimit: `${CONFIG.RATE_LIMIT_MAX_REQUESTS}/${CONFIG.RATE_LIMIT_WINDOW_MS}ms`,
-        maxSessions: CONFIG.MAX_SESSIONS
-      }
+function startServer() {
+  loadMemory().then(() => {
+    // A missing or invalid intents file or profanity list, or an invalid
+    // garbage rules file, stops startup; later edits to the intents are
+    // validated before they replace the loaded ones
+    intentRules.load();
+    intentRules.watch();
+    profanityFilter.load();
+    GarbageClassifier.loadRules();
+    getQualityScorer().watch?.();
+
+    app.listen(PORT, '0.0.0.0', () => {
+      logger.info('TuringAI server started', {
+        port: PORT,
+        stats: globalMemory.stats,
+        config: {
+          allowedOrigins: CONFIG.ALLOWED_ORIGINS,
+          rateLimit: `${CONFIG.RATE_LIMIT_MAX_REQUESTS}/${CONFIG.RATE_LIMIT_WINDOW_MS}ms`,
+          maxSessions: CONFIG.MAX_SESSIONS,
+          retrievalStrategy: CONFIG.RETRIEVAL_STRATEGY
+        }
+      });
     });
+
+    // Auto-save interval
+    setInterval(() => {
+      queueSave();
+    }, CONFIG.SAVE_INTERVAL_MS);
+
+    // Backup interval
+    setInterval(() => {
+      createBackup();
+    }, CONFIG.BACKUP_INTERVAL_MS);
+
+    // Transcript retention
+    pruneTranscripts();
+    setInterval(pruneTranscripts, CONFIG.TRANSCRIPT_PRUNE_INTERVAL_MS);
+
+    // Pending pattern expiry
+    LearningQuarantine.sweep();
+    setInterval(() => LearningQuarantine.sweep(), CONFIG.PENDING_SWEEP_MS);
+
+    // Other instances sharing the primary store
+    const { primary } = getStorage();
+    if (primary.watch) {
+      primary.watch(() => globalMemory, ({ inputs, merged }) => {
+        inputs.forEach(input => IntelligentLearner.reindexInput(input));
+        responseCache.clear();
+        statsBroadcaster.notify();
+        if (inputs.length > 0) {
+          logger.info('Memory changes received from other instances', { inputs: inputs.length, merged });
+        }
+        if (merged > 0) queueSave();
+      }).catch(err => logger.warn('Not following other instances\' changes', { backend: primary.name, error: err.message }));
+    }
+  }).catch(err => {
+    logger.error('Server failed to start', err);
+    process.exit(1);
   });
+}
 
-  // Auto-save interval
-  setInterval(() => {
-    queueSave();
-  }, CONFIG.SAVE_INTERVAL_MS);
+// Required rather than run (by the tests), the server only exposes its parts
+if (require.main === module) {
+  const cliCommand = CLI_COMMANDS[process.argv[2]];
+
+  if (cliCommand) {
+    logger.redirectToStderr();
+    cliCommand(parseCliArgs(process.argv.slice(3)))
+      .then(() => process.exit())
+      .catch(err => {
+        logger.error('Command failed', err, { command: process.argv[2] });
+        process.exit(1);
+      });
+  } else {
+    startServer();
+  }
+}
 
-  // Backup interval
-  setInterval(() => {
-    createBackup();
-  }, CONFIG.BACKUP_INTERVAL_MS);
-});
+module.exports = {
+  app,
+  CONFIG,
+  MEMORY_SCHEMA_VERSION,
+  FileStorageAdapter,
+  PostgresStorageAdapter,
+  ReplitStorageAdapter,
+  MemoryStorageAdapter,
+  PostgresMemoryStore,
+  createPgPool,
+  pgPool,
+  REPLIT_DB_URL,
+  canonicalJson,
+  TextNormalizer,
+  IntelligentLearner,
+  IntentRules,
+  ProfanityFilter,
+  profanityFilter,
+  GarbageClassifier,
+  DispositionEngine,
+  mergeKnowledgeEntries,
+  DOCUMENT_MERGERS,
+  LearningQuarantine,
+  transcriptStore,
+  HeuristicQualityScorer,
+  NaiveBayesQualityScorer
+};
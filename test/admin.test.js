@@ -0,0 +1,38 @@
+'use strict';
+
+// Curator routes under /api/admin
+
+process.env.ADMIN_TOKEN = 'admin-secret';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve } = require('./support');
+
+describe('admin clusters', () => {
+  let server;
+
+  before(async () => {
+    server = await serve();
+  });
+
+  after(() => server.close());
+
+  async function admin(method, path, body) {
+    const res = await fetch(`${server.baseUrl}/api/admin${path}`, {
+      method,
+      headers: { Authorization: 'Bearer admin-secret', 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    await res.text();
+    return res.status;
+  }
+
+  it('does not treat object prototype names as clusters', async () => {
+    for (const keyword of ['constructor', '__proto__', 'hasOwnProperty', 'toString']) {
+      assert.equal(await admin('GET', `/clusters/${keyword}`), 404, `GET ${keyword}`);
+      assert.equal(await admin('DELETE', `/clusters/${keyword}`), 404, `DELETE ${keyword}`);
+      assert.equal(await admin('PATCH', `/clusters/${keyword}/entries/x`, { quality: 50 }), 404, `PATCH ${keyword}`);
+      assert.equal(await admin('DELETE', `/clusters/${keyword}/entries/x`), 404, `DELETE ${keyword} entry`);
+    }
+  });
+});
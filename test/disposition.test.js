@@ -0,0 +1,66 @@
+'use strict';
+
+// What the chat does with a message: answer and learn, answer only, or reject
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./support');
+
+const { DispositionEngine } = loadServer();
+
+const disposition = (text, options) => DispositionEngine.decide(text, options).disposition;
+
+describe('disposition engine', () => {
+  it('answers and learns from ordinary messages, including a lone "="', () => {
+    for (const text of ['one = 1', 'I had a great day; thanks', 'hello there']) {
+      assert.equal(disposition(text), 'answer', text);
+      assert.equal(DispositionEngine.isLearnable(text), true, text);
+    }
+  });
+
+  it('answers links and code without learning from them', () => {
+    for (const [text, reason] of [
+      ['have a look at https://example.com/page', 'url'],
+      ['try example.com for that', 'url'],
+      ['const x = () => { return 1; }', 'code'],
+      ['function f() { return 1; }', 'code']
+    ]) {
+      assert.deepEqual(
+        [disposition(text), DispositionEngine.decide(text).reason],
+        ['answer_no_learn', reason],
+        text);
+    }
+  });
+
+  it('answers borderline messages without learning from them', () => {
+    for (const [text, reason] of [
+      ['hello sooooooo good', 'noise'],
+      ['call 12345', 'noise'],
+      ['WHY IS THIS SO LOUD', 'shouting']
+    ]) {
+      const decision = DispositionEngine.decide(text);
+      assert.deepEqual([decision.disposition, decision.reason], ['answer_no_learn', reason], text);
+      assert.equal(DispositionEngine.isLearnable(text), false, text);
+    }
+  });
+
+  it('rejects spam, harm and profanity with a hint', () => {
+    for (const [text, reason] of [
+      ['BUY NOW and get free money', 'spam'],
+      ['kill yourself', 'harmful'],
+      ['fuck you', 'profanity']
+    ]) {
+      const decision = DispositionEngine.decide(text);
+      assert.equal(decision.disposition, 'reject', text);
+      assert.equal(decision.reason, reason, text);
+      assert.ok(decision.hint, text);
+      assert.ok(decision.rules.includes(reason), text);
+    }
+    assert.equal(disposition(''), 'reject');
+  });
+
+  it('answers callers that may not teach the bot without learning', () => {
+    assert.deepEqual(DispositionEngine.decide('hello there', { learn: false }),
+      { disposition: 'answer_no_learn', reason: 'learn_scope', hint: null, rules: [] });
+  });
+});
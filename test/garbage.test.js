@@ -0,0 +1,90 @@
+'use strict';
+
+// Garbage rules: overrides from GARBAGE_RULES_FILE and the verdicts they give
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'turingai-garbage-'));
+const rulesFile = path.join(rulesDir, 'garbage-rules.json');
+process.env.GARBAGE_RULES_FILE = rulesFile;
+process.once('exit', () => fs.rmSync(rulesDir, { recursive: true, force: true }));
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./support');
+
+const { GarbageClassifier } = loadServer();
+
+function loadOverrides(rules) {
+  fs.writeFileSync(rulesFile, JSON.stringify({ rules }));
+  return GarbageClassifier.loadRules();
+}
+
+function loadErrors(rules) {
+  try {
+    loadOverrides(rules);
+  } catch (err) {
+    assert.equal(err.code, 'GARBAGE_RULES_INVALID');
+    return err.details;
+  }
+  assert.fail('the overrides were accepted');
+}
+
+describe('garbage rules', () => {
+  afterEach(() => loadOverrides({}));
+
+  it('uses the built-in rules without a file', () => {
+    fs.rmSync(rulesFile, { force: true });
+    const rules = GarbageClassifier.loadRules();
+    assert.ok(rules.every(rule => rule.enabled));
+  });
+
+  it('rejects overrides for unknown rules', () => {
+    assert.deepEqual(loadErrors({ shoutin: { enabled: false } }), ['rules.shoutin is not a known rule']);
+  });
+
+  it('lists every invalid override', () => {
+    assert.deepEqual(loadErrors({
+      shouting: { enabled: 'no', threshold: 'high' },
+      url: { disposition: 'ignore' },
+      gibberish: { minLength: 'long', maxLength: 10 }
+    }), [
+      'rules.url.disposition must be one of reject, answer_no_learn',
+      'rules.shouting.enabled must be true or false',
+      'rules.shouting.threshold must be a number',
+      'rules.gibberish.minLength must be a number',
+      'rules.gibberish.maxLength is not an option of this rule'
+    ]);
+  });
+
+  it('reports a file that is not JSON', () => {
+    fs.writeFileSync(rulesFile, '{ rules: ');
+    assert.throws(() => GarbageClassifier.loadRules(), { code: 'GARBAGE_RULES_INVALID' });
+  });
+
+  it('explains which rules fired', () => {
+    const verdict = GarbageClassifier.evaluate('CHECK OUT MY PAGE www.example.com');
+    assert.equal(verdict.garbage, true);
+    assert.equal(verdict.learnable, false);
+    assert.equal(verdict.reason, 'spam');
+    assert.deepEqual(verdict.fired, ['url', 'spam', 'shouting']);
+    assert.equal(verdict.rules.find(rule => rule.name === 'url').score, 1);
+  });
+
+  it('applies overridden thresholds, options and switches', () => {
+    const text = 'WHY IS THIS SO LOUD';
+    assert.deepEqual(GarbageClassifier.evaluate(text).fired, ['shouting']);
+
+    loadOverrides({ shouting: { enabled: false } });
+    assert.equal(GarbageClassifier.evaluate(text).learnable, true);
+
+    loadOverrides({ too_long: { threshold: 10, disposition: 'reject' } });
+    assert.equal(GarbageClassifier.evaluate('a perfectly normal sentence').reason, 'too_long');
+    assert.equal(GarbageClassifier.evaluate('a perfectly normal sentence').garbage, true);
+
+    loadOverrides({ gibberish: { minLength: 20 } });
+    assert.equal(GarbageClassifier.evaluate('bcdfg hjklm').learnable, true);
+  });
+});
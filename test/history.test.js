@@ -0,0 +1,62 @@
+'use strict';
+
+// Paging through a session's stored conversation, which takes the history
+// token its first reply carried
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, serve, postChat } = require('./support');
+
+const { CONFIG, transcriptStore } = loadServer();
+
+describe('session history', () => {
+  // Transcripts in a shared DATABASE_URL outlive the run
+  const sessionId = `history-test-${crypto.randomBytes(4).toString('hex')}`;
+  let server, replies;
+
+  before(async () => {
+    server = await serve();
+    replies = [];
+    for (const message of ['hello there', 'how are you doing', 'what is your name']) {
+      replies.push(await postChat(server.baseUrl, sessionId, message));
+    }
+    await transcriptStore.flush();
+  });
+
+  after(() => server.close());
+
+  async function history(query, token = replies[0].historyToken) {
+    const headers = token ? { 'X-History-Token': token } : {};
+    const res = await fetch(`${server.baseUrl}/api/sessions/${sessionId}/history?${query}`, { headers });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('hands out the token with the first reply only', () => {
+    assert.equal(typeof replies[0].historyToken, 'string');
+    assert.equal(replies[1].historyToken, undefined);
+    assert.equal(replies[2].historyToken, undefined);
+  });
+
+  it('does not show the history without the token', async () => {
+    assert.equal((await history('', null)).status, 404);
+    assert.equal((await history('', 'not-the-token')).status, 404);
+  });
+
+  it('returns the latest turns, oldest first', async () => {
+    const { status, body } = await history('limit=2');
+    assert.equal(status, 200);
+    assert.deepEqual(body.turns.map(turn => turn.user), ['how are you doing', 'what is your name']);
+    assert.equal(body.hasMore, true);
+  });
+
+  it('clamps the limit to at least one turn', async () => {
+    for (const limit of ['-1', '-5', '0']) {
+      const { status, body } = await history(`limit=${limit}`);
+      assert.equal(status, 200);
+      assert.ok(body.turns.length >= 1 && body.turns.length <= CONFIG.HISTORY_MAX_PAGE_SIZE, `limit=${limit}`);
+    }
+    const { body } = await history('limit=-1');
+    assert.deepEqual(body.turns.map(turn => turn.user), ['what is your name']);
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// Intent rules: validation, the order rules are tried in and their conditions
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadServer } = require('./support');
+
+const { IntentRules } = loadServer();
+
+const FALLBACK = { name: 'fallback', responses: ['tell me more'] };
+
+function compileErrors(document) {
+  try {
+    IntentRules.compile(document);
+  } catch (err) {
+    assert.equal(err.code, 'INTENTS_INVALID');
+    return err.details;
+  }
+  assert.fail('the rules were accepted');
+}
+
+function rulesFile(document) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'turingai-intents-'));
+  const file = path.join(dir, 'intents.json');
+  fs.writeFileSync(file, JSON.stringify(document));
+  return { file, write: next => fs.writeFileSync(file, JSON.stringify(next)), remove: () => fs.rmSync(dir, { recursive: true }) };
+}
+
+describe('intent rules', () => {
+  describe('validation', () => {
+    it('needs a rules array', () => {
+      assert.deepEqual(compileErrors({}), ['rules must be an array']);
+    });
+
+    it('lists every problem found', () => {
+      const details = compileErrors({
+        rules: [
+          { name: 'greeting', patterns: ['^(hi'], responses: ['hey'] },
+          { name: 'greeting', priority: 'high', responses: [] },
+          { name: 'late', conditions: { hours: [3, 3], weekday: 'monday' }, responses: [{ text: 'zzz', weight: 0 }] },
+          { name: 'first', conditions: { firstMessage: 'yes' }, responses: ['welcome'] },
+          FALLBACK
+        ]
+      });
+      assert.equal(details.length, 8, details.join('\n'));
+      assert.ok(details.some(detail => detail.startsWith('rules[0].patterns[0]:')));
+      assert.ok(details.includes('rules[1].name "greeting" is used by an earlier rule'));
+      assert.ok(details.includes('rules[1].priority must be a number'));
+      assert.ok(details.includes('rules[1].responses must be a non-empty array'));
+      assert.ok(details.includes('rules[2].conditions.weekday is not a known condition'));
+      assert.ok(details.some(detail => detail.startsWith('rules[2].conditions.hours must be')));
+      assert.ok(details.includes('rules[2].responses[0].weight must be a positive number'));
+      assert.ok(details.includes('rules[3].conditions.firstMessage must be true or false'));
+    });
+
+    it('needs a rule that answers any message', () => {
+      assert.deepEqual(compileErrors({ rules: [{ name: 'greeting', patterns: ['^hi'], responses: ['hey'] }] }),
+        ['one rule must have neither patterns nor conditions, to answer any message']);
+    });
+
+    it('keeps the previous rules when an edit is invalid', () => {
+      const { file, write, remove } = rulesFile({ rules: [FALLBACK] });
+      try {
+        const intents = new IntentRules(file);
+        intents.load();
+        write({ rules: [{ name: 'broken', patterns: ['('], responses: ['x'] }] });
+        intents.reload();
+
+        assert.deepEqual(intents.rules.map(rule => rule.name), ['fallback']);
+        assert.ok(intents.lastError.details.length > 0);
+      } finally {
+        remove();
+      }
+    });
+  });
+
+  describe('matching', () => {
+    const rules = {
+      rules: [
+        FALLBACK,
+        { name: 'hello', priority: 10, patterns: ['\\bhello\\b'], responses: ['hello!'] },
+        { name: 'greeting', priority: 10, patterns: ['^(hi|hello)\\b'], responses: ['hey'] },
+        { name: 'welcome', priority: 50, patterns: ['^(hi|hello)\\b'], conditions: { firstMessage: true }, responses: ['welcome!'] },
+        { name: 'night', priority: 30, conditions: { hours: [22, 6] }, responses: ['up late?'] },
+        { name: 'morning', priority: 30, conditions: { hours: [5, 12] }, responses: ['good morning'] }
+      ]
+    };
+    let intents;
+
+    before(() => {
+      const { file, remove } = rulesFile(rules);
+      intents = new IntentRules(file);
+      intents.load();
+      remove();
+    });
+
+    const names = (message, context) => intents.matches(message, context).map(rule => rule.name);
+
+    it('tries higher priorities first, then file order', () => {
+      assert.deepEqual(names('hello there', { hour: 14 }), ['hello', 'greeting', 'fallback']);
+    });
+
+    it('applies firstMessage both ways', () => {
+      assert.deepEqual(names('hi', { firstMessage: true, hour: 14 }), ['welcome', 'greeting', 'fallback']);
+      assert.deepEqual(names('hi', { firstMessage: false, hour: 14 }), ['greeting', 'fallback']);
+    });
+
+    it('applies hours, including ranges that wrap past midnight', () => {
+      assert.deepEqual(names('what now', { hour: 23 }), ['night', 'fallback']);
+      assert.deepEqual(names('what now', { hour: 0 }), ['night', 'fallback']);
+      assert.deepEqual(names('what now', { hour: 5 }), ['night', 'morning', 'fallback']);
+      assert.deepEqual(names('what now', { hour: 6 }), ['morning', 'fallback']);
+      assert.deepEqual(names('what now', { hour: 12 }), ['fallback']);
+      assert.deepEqual(names('what now', { hour: 22 }), ['night', 'fallback']);
+    });
+
+    it('picks response variants by weight', () => {
+      const rule = { responses: [{ text: 'rare', weight: 1 }, { text: 'common', weight: 3 }] };
+      assert.equal(IntentRules.pickResponse(rule, 0.2), 'rare');
+      assert.equal(IntentRules.pickResponse(rule, 0.3), 'common');
+      assert.equal(IntentRules.pickResponse(rule, 0.99), 'common');
+    });
+  });
+});
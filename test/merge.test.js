@@ -0,0 +1,137 @@
+'use strict';
+
+// Merging copies of memory that two instances changed apart, and keeping
+// them in step when notifications are down. No database needed.
+
+process.env.SYNC_POLL_MS = '20';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./support');
+
+const {
+  mergeKnowledgeEntries, DOCUMENT_MERGERS, PostgresMemoryStore, PostgresStorageAdapter
+} = loadServer();
+
+function entry(fields) {
+  return { id: 'e1', response: 'hello', quality: 60, confidence: 1, timestamp: 1, ...fields };
+}
+
+function apiKey(fields) {
+  return {
+    id: 'k1',
+    name: 'client',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    revokedAt: null,
+    lastUsedAt: null,
+    totalRequests: 0,
+    usage: { day: '2026-01-01', requests: 0 },
+    ...fields
+  };
+}
+
+describe('merging learned entries', () => {
+  it('adds up what each side reinforced since they last agreed', () => {
+    const base = entry({ confidence: 2, quality: 60 });
+    const local = entry({ confidence: 3, quality: 64, timestamp: 2 });
+    const remote = entry({ confidence: 4, quality: 62, timestamp: 3 });
+    const merged = mergeKnowledgeEntries(local, remote, base);
+    assert.equal(merged.confidence, 5);
+    assert.equal(merged.quality, 66);
+    assert.equal(merged.timestamp, 3);
+  });
+
+  it('keeps quality within 0-100', () => {
+    const base = entry({ quality: 90 });
+    const merged = mergeKnowledgeEntries(entry({ quality: 98 }), entry({ quality: 99 }), base);
+    assert.equal(merged.quality, 100);
+  });
+
+  it('counts both sides when they never agreed', () => {
+    const merged = mergeKnowledgeEntries(entry({ confidence: 2, quality: 50 }), entry({ confidence: 3, quality: 70 }), null);
+    assert.equal(merged.confidence, 5);
+    assert.equal(merged.quality, 70);
+  });
+
+  it('keeps the stronger of two different responses', () => {
+    const local = entry({ response: 'hi', quality: 90 });
+    const remote = entry({ response: 'hey', quality: 40, timestamp: 5 });
+    assert.equal(mergeKnowledgeEntries(local, remote, null), local);
+    assert.equal(mergeKnowledgeEntries(remote, local, null), local);
+
+    const pinned = entry({ response: 'hey', quality: 10, pinned: true });
+    assert.equal(mergeKnowledgeEntries(local, pinned, null), pinned);
+  });
+
+  it('breaks ties between different responses by recency', () => {
+    const older = entry({ response: 'hi', timestamp: 1 });
+    const newer = entry({ response: 'hey', timestamp: 2 });
+    assert.equal(mergeKnowledgeEntries(older, newer, null), newer);
+    assert.equal(mergeKnowledgeEntries(newer, older, null), newer);
+  });
+
+  it('takes a pin change from whichever side made it', () => {
+    const base = entry({ pinned: true });
+    assert.equal(mergeKnowledgeEntries(entry({}), entry({ pinned: true }), base).pinned, undefined);
+    assert.equal(mergeKnowledgeEntries(entry({ pinned: true }), entry({}), base).pinned, undefined);
+    assert.equal(mergeKnowledgeEntries(entry({}), entry({ pinned: true }), entry({})).pinned, true);
+  });
+
+  it('unions context keywords', () => {
+    const merged = mergeKnowledgeEntries(entry({ context: ['a', 'b'] }), entry({ context: ['b', 'c'] }), null);
+    assert.deepEqual(merged.context.sort(), ['a', 'b', 'c']);
+    assert.equal('context' in mergeKnowledgeEntries(entry({}), entry({}), null), false);
+  });
+});
+
+describe('merging API keys', () => {
+  const merge = DOCUMENT_MERGERS.apiKeys;
+
+  it('keeps keys issued on either side, oldest first', () => {
+    const local = [apiKey({ id: 'k2', createdAt: '2026-02-01T00:00:00.000Z' })];
+    const remote = [apiKey({ id: 'k1' })];
+    assert.deepEqual(merge(local, remote, []).map(record => record.id), ['k1', 'k2']);
+  });
+
+  it('keeps the earliest revocation from either side', () => {
+    const local = [apiKey({ revokedAt: '2026-03-02T00:00:00.000Z' })];
+    const remote = [apiKey({ revokedAt: '2026-03-01T00:00:00.000Z' })];
+    assert.equal(merge(local, remote, [apiKey({})])[0].revokedAt, '2026-03-01T00:00:00.000Z');
+    assert.equal(merge([apiKey({})], remote, [apiKey({})])[0].revokedAt, '2026-03-01T00:00:00.000Z');
+  });
+
+  it('adds up usage counted on both sides since the last sync', () => {
+    const base = [apiKey({ totalRequests: 10, usage: { day: '2026-01-01', requests: 4 } })];
+    const local = [apiKey({ totalRequests: 13, lastUsedAt: '2026-01-01T10:00:00.000Z', usage: { day: '2026-01-01', requests: 7 } })];
+    const remote = [apiKey({ totalRequests: 12, lastUsedAt: '2026-01-01T11:00:00.000Z', usage: { day: '2026-01-01', requests: 6 } })];
+    const [merged] = merge(local, remote, base);
+    assert.equal(merged.totalRequests, 15);
+    assert.deepEqual(merged.usage, { day: '2026-01-01', requests: 9 });
+    assert.equal(merged.lastUsedAt, '2026-01-01T11:00:00.000Z');
+  });
+
+  it('keeps only the latest day of usage', () => {
+    const local = [apiKey({ usage: { day: '2026-01-02', requests: 3 } })];
+    const remote = [apiKey({ usage: { day: '2026-01-01', requests: 8 } })];
+    assert.deepEqual(merge(local, remote, null)[0].usage, { day: '2026-01-02', requests: 3 });
+  });
+});
+
+describe('watching peers without notifications', () => {
+  it('keeps polling when LISTEN fails', async (t) => {
+    const failing = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+    let pulls = 0;
+    const store = new PostgresMemoryStore({ connect: async () => { throw failing; } });
+    store.ready = Promise.resolve();
+    store.pull = async () => { pulls++; };
+    store.pool.end = async () => {};
+    const adapter = new PostgresStorageAdapter(store);
+    t.after(() => adapter.close());
+
+    await adapter.watch(() => ({}), () => {});
+    assert.ok(store.relisten, 'LISTEN is retried');
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.ok(pulls > 0, 'memory is still pulled on the poll');
+  });
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+// /metrics has per-API-key series, so only admins and a scraper holding
+// METRICS_TOKEN may read it
+
+process.env.ADMIN_TOKEN = 'admin-secret';
+process.env.METRICS_TOKEN = 'scrape-secret';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve } = require('./support');
+
+describe('prometheus metrics', () => {
+  let server;
+
+  before(async () => {
+    server = await serve();
+  });
+
+  after(() => server.close());
+
+  async function scrape(token) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const res = await fetch(`${server.baseUrl}/metrics`, { headers });
+    await res.text();
+    return res.status;
+  }
+
+  it('rejects anonymous scrapes and wrong tokens', async () => {
+    assert.equal(await scrape(), 401);
+    assert.equal(await scrape('guess'), 401);
+  });
+
+  it('serves the metrics token and the admin token', async () => {
+    assert.equal(await scrape('scrape-secret'), 200);
+    assert.equal(await scrape('admin-secret'), 200);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+// The profanity filter against the shipped lists in config/profanity
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./support');
+
+const { CONFIG, ProfanityFilter, profanityFilter } = loadServer();
+
+const terms = text => profanityFilter.scan(text).matches.map(match => match.term);
+
+describe('profanity filter', () => {
+  it('leaves words that merely contain a term alone', () => {
+    for (const text of ['I love Dickens', 'Scunthorpe United won', 'can you push it', 'wash it please',
+      'i love shiitake mushrooms', 'this is hit or miss', 'the fagin character', 'skyscrapers']) {
+      assert.deepEqual(terms(text), [], text);
+    }
+  });
+
+  it('finds terms that are spelled out, stretched or in leet speak', () => {
+    for (const text of ['f u c k', 'f.u.c.k this', 'fuuuck', 'fuuuuuck off', 'asssshole', 'a55hole', 'that is sh!t']) {
+      assert.ok(profanityFilter.scan(text).found, text);
+    }
+  });
+
+  it('matches whole-word terms only as words', () => {
+    assert.deepEqual(terms('kys!'), ['kys']);
+    assert.deepEqual(terms('eres un hijo de puta'), ['puta', 'hijo de puta']);
+    assert.deepEqual(terms('disputation'), []);
+  });
+
+  it('rejects an invalid list, listing every problem', () => {
+    assert.throws(() => ProfanityFilter.compile('xx', {
+      terms: [{ term: '--', severity: 'mild' }, { term: 'darn', severity: 'awful' }, { term: 'heck', severity: 'mild', wholeWord: 'yes' }],
+      allowlist: 'none'
+    }), (err) => {
+      assert.equal(err.code, 'PROFANITY_INVALID');
+      assert.deepEqual(err.details, [
+        'terms[0].term must contain letters',
+        'terms[1].severity must be one of mild, moderate, severe',
+        'terms[2].wholeWord must be true or false',
+        'allowlist must be an array'
+      ]);
+      return true;
+    });
+  });
+
+  describe('in mask mode', () => {
+    const mode = CONFIG.PROFANITY_MODE;
+    before(() => { CONFIG.PROFANITY_MODE = 'mask'; });
+    after(() => { CONFIG.PROFANITY_MODE = mode; });
+
+    it('masks milder terms a word at a time', () => {
+      const result = profanityFilter.scan('well, that is shit!');
+      assert.equal(result.action, 'mask');
+      assert.equal(result.masked, 'well, that is s***!');
+      assert.equal(profanityFilter.apply('what the fucking hell'), 'what the f****** hell');
+    });
+
+    it('still rejects severe terms', () => {
+      assert.equal(profanityFilter.scan('you cunt').action, 'reject');
+    });
+
+    it('rejects what masking words cannot hide', () => {
+      assert.equal(profanityFilter.scan('f u c k').action, 'reject');
+    });
+  });
+});
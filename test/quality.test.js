@@ -0,0 +1,89 @@
+'use strict';
+
+// The Naive Bayes quality model gates learning and scores what it learns,
+// on the heuristic's 0-100 scale
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadServer } = require('./support');
+
+const { CONFIG, HeuristicQualityScorer, NaiveBayesQualityScorer } = loadServer();
+
+const GOOD = [
+  ['how are you today', 'I am doing well, thanks for asking!'],
+  ['what is your favourite food', 'Pizza with lots of cheese, always.'],
+  ['do you like music', 'Yes, I listen to jazz most evenings.'],
+  ['where do you live', 'In a small town by the sea.'],
+  ['what do you do for fun', 'I read books and go hiking.']
+];
+const BAD = [
+  ['how are you today', 'how are you today'],
+  ['what is your favourite food', 'idk'],
+  ['do you like music', 'lol'],
+  ['where do you live', 'whatever'],
+  ['what do you do for fun', 'k']
+];
+
+function trainedScorer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'turingai-quality-'));
+  const file = path.join(dir, 'quality-model.json');
+  const examples = [
+    ...GOOD.map(([input, response]) => ({ input, response, label: 'good' })),
+    ...BAD.map(([input, response]) => ({ input, response, label: 'bad' }))
+  ];
+  fs.writeFileSync(file, JSON.stringify(NaiveBayesQualityScorer.train(examples)));
+
+  const scorer = new NaiveBayesQualityScorer(file);
+  scorer.load();
+  fs.rmSync(dir, { recursive: true, force: true });
+  return scorer;
+}
+
+describe('quality scoring', () => {
+  it('predicts the probability that a pair is good', () => {
+    const model = NaiveBayesQualityScorer.train([
+      ...GOOD.map(([input, response]) => ({ input, response, label: 'good' })),
+      ...BAD.map(([input, response]) => ({ input, response, label: 'bad' }))
+    ]);
+    const good = NaiveBayesQualityScorer.predict(model, 'do you like films', 'Yes, I watch them most evenings.');
+    const bad = NaiveBayesQualityScorer.predict(model, 'do you like films', 'lol');
+    assert.ok(good > 0.5 && good < 1, `good pair: ${good}`);
+    assert.ok(bad < 0.5 && bad > 0, `bad pair: ${bad}`);
+  });
+
+  it('gates with the model and scores by it on the heuristic scale', () => {
+    const scorer = trainedScorer();
+
+    assert.equal(scorer.accepts('do you like films', 'Yes, I watch them most evenings.'), true);
+    assert.equal(scorer.accepts('do you like films', 'lol'), false);
+
+    const good = scorer.score('do you like films', 'Yes, I watch them most evenings.');
+    const bad = scorer.score('do you like films', 'lol');
+    assert.ok(good >= CONFIG.MIN_QUALITY_SCORE && good <= 100, `good pair: ${good}`);
+    assert.ok(bad >= 0 && bad < CONFIG.MIN_QUALITY_SCORE, `bad pair: ${bad}`);
+    for (const [input, response] of [...GOOD, ...BAD]) {
+      assert.equal(scorer.accepts(input, response), scorer.score(input, response) >= CONFIG.MIN_QUALITY_SCORE, input);
+    }
+  });
+
+  it('maps the accept probability onto MIN_QUALITY_SCORE', () => {
+    assert.equal(NaiveBayesQualityScorer.quality(0), 0);
+    assert.equal(NaiveBayesQualityScorer.quality(CONFIG.QUALITY_MODEL_ACCEPT), CONFIG.MIN_QUALITY_SCORE);
+    assert.equal(NaiveBayesQualityScorer.quality(1), 100);
+    assert.ok(NaiveBayesQualityScorer.quality(0.9) > NaiveBayesQualityScorer.quality(0.7));
+  });
+
+  it('defers to the heuristic until a model is trained', () => {
+    const scorer = new NaiveBayesQualityScorer(path.join(os.tmpdir(), 'turingai-no-such-model.json'));
+    const heuristic = new HeuristicQualityScorer();
+    scorer.load();
+
+    for (const [input, response] of [...GOOD, ...BAD]) {
+      assert.equal(scorer.accepts(input, response), heuristic.accepts(input, response));
+    }
+    assert.equal(scorer.describe().trained, false);
+  });
+});
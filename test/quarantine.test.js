@@ -0,0 +1,63 @@
+'use strict';
+
+// Pairs taught in chat stay pending until enough distinct callers confirm
+// them; the sessionId in the request body does not make a new caller
+
+// The test server is reached over loopback, as a reverse proxy would reach it
+process.env.TRUST_PROXY = 'loopback';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, serve, postChat } = require('./support');
+
+const { CONFIG, LearningQuarantine } = loadServer();
+
+const QUESTION = 'what is your favourite season of the year';
+const ANSWER = 'autumn, when the leaves turn golden and the air gets crisp';
+
+function pendingPair() {
+  return LearningQuarantine.pending.find(item => item.input === QUESTION && item.response === ANSWER);
+}
+
+describe('learning quarantine', () => {
+  let server;
+
+  before(async () => {
+    server = await serve();
+  });
+
+  after(() => server.close());
+
+  async function teach(sessionId, headers) {
+    await postChat(server.baseUrl, sessionId, QUESTION, headers);
+    await postChat(server.baseUrl, sessionId, ANSWER, headers);
+  }
+
+  it('does not promote a pair taught by one caller cycling session ids', async () => {
+    for (let i = 0; i < CONFIG.PENDING_MIN_CALLERS + 2; i++) {
+      await teach(`cycled-session-${i}`);
+    }
+
+    const item = pendingPair();
+    assert.ok(item, 'the pair is pending');
+    assert.equal(item.callers.length, 1);
+    assert.equal(LearningQuarantine.isActive(QUESTION, ANSWER), false);
+  });
+
+  it('does not store anything the client address can be recovered from', () => {
+    const [caller] = pendingPair().callers;
+    const plainHash = crypto.createHash('sha256').update('127.0.0.1').digest('hex');
+    assert.match(caller, /^ip:/);
+    assert.ok(!plainHash.startsWith(caller.slice(3)) && !caller.includes('127.0.0.1'));
+  });
+
+  it('promotes the pair once enough clients behind the proxy teach it', async () => {
+    for (let i = 1; i < CONFIG.PENDING_MIN_CALLERS; i++) {
+      await teach(`proxied-session-${i}`, { 'X-Forwarded-For': `203.0.113.${i}` });
+    }
+
+    assert.equal(pendingPair(), undefined);
+    assert.equal(LearningQuarantine.isActive(QUESTION, ANSWER), true);
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+// The storage adapter contract (see STORAGE ADAPTERS in server.js), checked
+// against an empty scratch store of each backend. Postgres and Replit run
+// when DATABASE_URL and REPLIT_DB_URL are set, and are skipped otherwise.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadServer, storageFixture, assertSameDocument } = require('./support');
+
+const {
+  FileStorageAdapter,
+  PostgresStorageAdapter,
+  ReplitStorageAdapter,
+  MemoryStorageAdapter,
+  PostgresMemoryStore,
+  IntelligentLearner,
+  createPgPool,
+  pgPool,
+  REPLIT_DB_URL
+} = loadServer();
+
+// Empty stores of each kind that are safe to write to, and how to remove them
+const SCRATCH_STORES = {
+  file: {
+    async create() {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'turingai-storage-'));
+      return {
+        adapter: new FileStorageAdapter(path.join(dir, 'memory.json')),
+        cleanup: () => fs.rm(dir, { recursive: true, force: true })
+      };
+    }
+  },
+
+  // A throwaway schema in the configured database
+  postgres: {
+    skip: !pgPool && 'DATABASE_URL not set',
+    async create() {
+      const schema = `storage_check_${crypto.randomBytes(4).toString('hex')}`;
+      await pgPool.query(`CREATE SCHEMA ${schema}`);
+      const pool = createPgPool({ options: `-c search_path=${schema}` });
+      return {
+        adapter: new PostgresStorageAdapter(new PostgresMemoryStore(pool)),
+        cleanup: async () => {
+          await pool.end().catch(() => {});
+          await pgPool.query(`DROP SCHEMA ${schema} CASCADE`);
+        }
+      };
+    }
+  },
+
+  replit: {
+    skip: !REPLIT_DB_URL && 'REPLIT_DB_URL not set',
+    async create() {
+      const key = `storage-check-${crypto.randomBytes(4).toString('hex')}`;
+      return {
+        adapter: new ReplitStorageAdapter(REPLIT_DB_URL, key),
+        cleanup: () => fetch(`${REPLIT_DB_URL}/${key}`, { method: 'DELETE' })
+      };
+    }
+  },
+
+  memory: {
+    async create() {
+      return { adapter: new MemoryStorageAdapter(), cleanup: async () => {} };
+    }
+  }
+};
+
+after(async () => {
+  if (pgPool) await pgPool.end();
+});
+
+for (const [backend, { skip, create }] of Object.entries(SCRATCH_STORES)) {
+  describe(`${backend} storage`, { skip }, () => {
+    let scratch;
+
+    before(async () => {
+      scratch = await create();
+    });
+
+    after(async () => {
+      await scratch?.cleanup();
+    });
+
+    it('reports healthy', async () => {
+      const health = await scratch.adapter.health();
+      assert.ok(health.ok, `health: ${health.detail}`);
+    });
+
+    it('loads null when empty', async () => {
+      assert.equal(await scratch.adapter.load(), null);
+    });
+
+    it('round-trips a memory document', async () => {
+      const memory = storageFixture();
+      await scratch.adapter.save(memory, JSON.stringify(memory));
+      assertSameDocument(await scratch.adapter.load(), memory);
+    });
+
+    it('replaces the document on later saves', async () => {
+      const memory = storageFixture();
+      await scratch.adapter.save(memory, JSON.stringify(memory));
+
+      memory.contextPairs.shift();
+      memory.contextPairs[0].confidence = 3;
+      delete memory.semanticClusters.food;
+      memory.semanticClusters.music = [IntelligentLearner._createEntry('any good bands', 'too many to list', 70, [], 1)];
+      delete memory.qualityScores['favourite food?'];
+      memory.feedback = [];
+      memory.stats.totalMessages = 13;
+      // Postgres only compares what it is told changed
+      scratch.adapter.store?.markAll();
+      await scratch.adapter.save(memory, JSON.stringify(memory));
+      assertSameDocument(await scratch.adapter.load(), memory);
+    });
+
+    it('closes cleanly', async () => {
+      await scratch.adapter.close();
+    });
+  });
+}
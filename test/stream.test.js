@@ -0,0 +1,50 @@
+'use strict';
+
+// /api/chat/stream sends the turn as Server-Sent Events
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve } = require('./support');
+
+async function stream(baseUrl, body) {
+  const res = await fetch(`${baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('Content-Type'), /text\/event-stream/);
+
+  return (await res.text()).split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe('streamed chat', () => {
+  let server;
+
+  before(async () => {
+    server = await serve();
+  });
+
+  after(() => server.close());
+
+  it('sends accepted, typing, the reply and done', async () => {
+    const events = await stream(server.baseUrl, { sessionId: 'stream-test', message: 'hello there' });
+    assert.deepEqual(events.map(({ event }) => event), ['accepted', 'typing', 'chunk', 'done']);
+
+    const done = events.at(-1).data;
+    assert.equal(events[2].data.text, done.response);
+    assert.equal(done.requestId, events[0].data.requestId);
+  });
+
+  it('marks a filtered reply in done, without a requestId to rate', async () => {
+    const events = await stream(server.baseUrl, { sessionId: 'stream-test', message: 'BUY NOW CLICK HERE FREE MONEY http://x.co' });
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.ok(done.data.filtered);
+    assert.equal(done.data.requestId, undefined);
+  });
+});
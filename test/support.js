@@ -0,0 +1,78 @@
+'use strict';
+
+// Shared by the test files: loads server.js against a scratch persistent
+// directory, without starting the server
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function loadServer() {
+  if (!process.env.PERSISTENT_MEMORY_DIR) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'turingai-test-'));
+    process.env.PERSISTENT_MEMORY_DIR = dir;
+    process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+  return require('../server');
+}
+
+// A small memory document with a pinned pair, contexts, clusters and counters
+function storageFixture() {
+  const { MEMORY_SCHEMA_VERSION, TextNormalizer, IntelligentLearner } = loadServer();
+  const now = Date.UTC(2024, 0, 1);
+  return {
+    schemaVersion: MEMORY_SCHEMA_VERSION,
+    keywordPipeline: TextNormalizer.pipelineVersion,
+    journalSeq: 7,
+    apiKeys: [],
+    contextPairs: [
+      IntelligentLearner._createEntry('how are you', 'great, thanks! 😊', 82, ['morning'], now),
+      IntelligentLearner._createEntry('what do you do', 'i chat — and learn', 64, [], now + 1)
+    ],
+    semanticClusters: {
+      food: [
+        { ...IntelligentLearner._createEntry('favourite food?', 'pizza, always', 75, [], now + 2), pinned: true },
+        IntelligentLearner._createEntry('do you cook', 'only toast', 61, ['kitchen'], now + 3)
+      ]
+    },
+    qualityScores: { 'how are you': 82, 'favourite food?': 75 },
+    feedback: [{ requestId: 'f'.repeat(32), rating: 'up', timestamp: now + 4 }],
+    stats: {
+      totalMessages: 12,
+      totalConversations: 0,
+      trainingDataPoints: 2,
+      garbageFiltered: 1,
+      liveConversationsLearned: 2
+    }
+  };
+}
+
+// Keys sorted, so documents compare equal whatever order a store returns
+function assertSameDocument(actual, expected, message) {
+  const { canonicalJson } = loadServer();
+  assert.equal(canonicalJson(actual), canonicalJson(expected), message);
+}
+
+// Serves the app on a free local port; resolves with its base URL and close()
+async function serve() {
+  const { app } = loadServer();
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function postChat(baseUrl, sessionId, message, headers = {}) {
+  const res = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ sessionId, message })
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+module.exports = { loadServer, storageFixture, assertSameDocument, serve, postChat };
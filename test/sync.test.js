@@ -0,0 +1,153 @@
+'use strict';
+
+// Two instances sharing one Postgres database (DATABASE_URL), played against
+// each other in a throwaway schema. Each step builds on the one before it.
+// Skipped when DATABASE_URL is not set.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, storageFixture, assertSameDocument } = require('./support');
+
+const { PostgresMemoryStore, IntelligentLearner, createPgPool, pgPool } = loadServer();
+
+function findPair(memory, input) {
+  return memory.contextPairs.find(pair => pair.input === input);
+}
+
+function assertPair(memory, input, expected) {
+  const pair = findPair(memory, input);
+  assert.ok(pair, `"${input}" is missing`);
+  for (const [field, value] of Object.entries(expected)) {
+    assert.equal(pair[field], value, `"${input}" ${field}`);
+  }
+}
+
+function withoutJournalSeq({ journalSeq, ...memory }) {
+  return memory;
+}
+
+describe('postgres sync between instances', { skip: !pgPool && 'DATABASE_URL not set' }, () => {
+  const schema = `sync_check_${crypto.randomBytes(4).toString('hex')}`;
+  let pools, a, b, memA, memB;
+
+  before(async () => {
+    await pgPool.query(`CREATE SCHEMA ${schema}`);
+    pools = [createPgPool({ options: `-c search_path=${schema}` }), createPgPool({ options: `-c search_path=${schema}` })];
+    a = new PostgresMemoryStore(pools[0], { instanceId: `${schema}_a` });
+    b = new PostgresMemoryStore(pools[1], { instanceId: `${schema}_b` });
+  });
+
+  after(async () => {
+    await b.unlisten();
+    await Promise.all(pools.map(pool => pool.end().catch(() => {})));
+    await pgPool.query(`DROP SCHEMA ${schema} CASCADE`);
+    await pgPool.end();
+  });
+
+  it('a peer loads what another instance saved', async () => {
+    memA = storageFixture();
+    await a.save(memA);
+    memB = await b.load();
+    assertSameDocument(withoutJournalSeq(memB), withoutJournalSeq(memA));
+  });
+
+  it('independent learning reaches both instances', async () => {
+    memA.contextPairs.push(IntelligentLearner._createEntry('tell me a joke', 'knock knock', 80, [], 10));
+    memB.contextPairs.push(IntelligentLearner._createEntry('what time is it', 'time to chat', 70, [], 11));
+    a.markInputs(['tell me a joke']);
+    b.markInputs(['what time is it']);
+    await a.save(memA);
+    await b.save(memB);
+    await a.pull(memA);
+    await b.pull(memB);
+    for (const memory of [memA, memB]) {
+      assertPair(memory, 'tell me a joke', { response: 'knock knock' });
+      assertPair(memory, 'what time is it', { response: 'time to chat' });
+    }
+  });
+
+  it('reinforcing the same pair on both instances adds up', async () => {
+    for (const memory of [memA, memB]) {
+      const pair = findPair(memory, 'how are you');
+      pair.confidence = (pair.confidence || 1) + 1;
+      pair.quality = Math.min(100, pair.quality + 2);
+    }
+    a.markInputs(['how are you']);
+    b.markInputs(['how are you']);
+    await a.save(memA);
+    await b.save(memB);
+    await a.pull(memA);
+    for (const memory of [memA, memB]) {
+      assertPair(memory, 'how are you', { confidence: 3, quality: 86 });
+    }
+  });
+
+  it('conflicting responses keep the higher quality × confidence', async () => {
+    const weaker = IntelligentLearner._createEntry('what do you do', 'i answer questions', 90, [], 20);
+    const stronger = { ...IntelligentLearner._createEntry('what do you do', 'i tell stories', 70, [], 21), confidence: 2 };
+    memA.contextPairs = memA.contextPairs.map(pair => pair.input === 'what do you do' ? weaker : pair);
+    memB.contextPairs = memB.contextPairs.map(pair => pair.input === 'what do you do' ? stronger : pair);
+    a.markInputs(['what do you do']);
+    b.markInputs(['what do you do']);
+    await b.save(memB);
+    await a.save(memA);
+    await b.pull(memB);
+    for (const memory of [memA, memB]) {
+      assertPair(memory, 'what do you do', { response: 'i tell stories', confidence: 2 });
+    }
+  });
+
+  it('a save writes only what was marked', async () => {
+    findPair(memA, 'how are you').quality = 10;
+    findPair(memA, 'what do you do').confidence = 7;
+    a.markInputs(['what do you do']);
+    assert.equal((await a.save(memA)).written, 1);
+    await b.pull(memB);
+    assertPair(memB, 'what do you do', { confidence: 7 });
+    assertPair(memB, 'how are you', { quality: 86 });
+
+    // Put back so the instances still converge
+    a.markInputs(['how are you']);
+    await a.save(memA);
+    await b.pull(memB);
+    assertPair(memB, 'how are you', { quality: 10 });
+  });
+
+  it('counters from both instances add up', async () => {
+    memA.stats.totalMessages += 3;
+    memB.stats.totalMessages += 4;
+    await a.save(memA);
+    await b.save(memB);
+    await a.pull(memA);
+    for (const memory of [memA, memB]) {
+      assert.equal(memory.stats.totalMessages, 19);
+    }
+  });
+
+  it('deletions reach peers', async () => {
+    memA.contextPairs = memA.contextPairs.filter(pair => pair.input !== 'tell me a joke');
+    a.markInputs(['tell me a joke']);
+    await a.save(memA);
+    await b.pull(memB);
+    assert.equal(findPair(memB, 'tell me a joke'), undefined);
+  });
+
+  it('peers are notified of commits', async () => {
+    let notified;
+    const heard = new Promise(resolve => { notified = resolve; });
+    await b.listen(() => notified(true));
+
+    memA.qualityScores['tell me a joke'] = 80;
+    a.markInputs(['tell me a joke']);
+    await a.save(memA);
+    const timeout = new Promise(resolve => setTimeout(resolve, 5000, false).unref());
+    assert.ok(await Promise.race([heard, timeout]), 'no notification within 5s');
+  });
+
+  it('both instances converge', async () => {
+    await a.pull(memA);
+    await b.pull(memB);
+    assertSameDocument(withoutJournalSeq(memB), withoutJournalSeq(memA));
+  });
+});